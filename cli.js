@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+"use strict";
+// Generate a mask from the command line, without a browser.  Run with --help
+// for usage.  The defaults match the defaults in the web UI.
+const fs = require('fs');
+const util = require('util');
+const zlib = require('zlib');
+
+const {
+    GRID_LAYOUTS, PATTERN_GENERATORS, DISTANCE_METRICS, build_pattern_generator, generate_particle_wipe_mask,
+    parse_step_grid, step_grid_from_image, step_grid_to_csv, encode_pattern_image, parse_easing,
+    MASK_EXPORT_FORMATS,
+} = require('./generator.js');
+const { encode_png, decode_png } = require('./png.js');
+const { DEFAULT_RECIPE, normalize_recipe } = require('./recipe.js');
+
+// Settings that are numbers; the defaults come from DEFAULT_RECIPE
+const NUMERIC_OPTIONS = ['rows', 'columns', 'stagger', 'delay', 'angle', 'droop', 'band-size', 'fill-delay', 'loops', 'arms', 'seed-count', 'seed-delay', 'falloff', 'center-x', 'center-y', 'step-range', 'density', 'neighbors', 'spread', 'noise-scale', 'octaves', 'bias', 'image-contrast', 'image-gamma', 'image-levels', 'seed', 'interlace'];
+const WRAPPER_FLAGS = ['reflect', 'reverse', 'mirror', 'flip'];
+// Other boolean settings
+const FLAGS = ['counterclockwise', 'ellipse', 'image-invert'];
+
+const USAGE = `usage: node cli.js [options] PARTICLE.png -o MASK.png
+       node cli.js [options] --recipe RECIPE.json [PARTICLE.png] -o MASK.png
+
+Generates a particle wipe mask from a particle image.  Only the particle's alpha
+channel is used.
+
+options:
+  -o, --output FILE     where to write the mask (required)
+  --format NAME         rgb, the full 24 bits packed into a color PNG; gray8 or
+                        gray16, a grayscale PNG; or float32, raw little-endian
+                        floats from 0 to 1, row by row (default rgb)
+  --recipe FILE         start from a recipe exported from the web UI; any other
+                        options override it.  The particle may be left out if
+                        the recipe embeds an image
+  --width N             width of the mask, in pixels (default 1280)
+  --height N            height of the mask, in pixels (default 720)
+  --rows N              number of rows of cells (default 18)
+  --columns N           number of columns of cells (default 32)
+  --layout NAME         shape of the cells; one of: ${Object.keys(GRID_LAYOUTS).join(', ')}
+                        (default square)
+  --stagger N           0 to 1; how far the brick layouts shift every other row
+                        or column, in cells (default 0.5)
+  --delay N             delay between steps, as a fraction of the time one
+                        particle takes to fill its cell (default 0.0625)
+  --pattern NAME        one of: ${Object.keys(PATTERN_GENERATORS).join(', ')}
+                        (default wipe)
+  --direction DIR       row, column, diagonal, or angle; for wipe, curtain,
+                        shutter, pinch, and slide (default row)
+  --droop N             0 to 1; for wipe (default 0)
+  --band-size N         how many rows slide in together, for slide (default 1)
+  --angle N             0 to 1, in turns; for spiral, clock, and noise, and for
+                        wipe, curtain, shutter, pinch, and slide with
+                        --direction angle, where 0 travels left to right and
+                        0.25 bottom to top (default 0)
+  --fill-delay N        for spiral (default 3)
+  --loops N             for spiral (default 1)
+  --arms N              for spiral and clock (default 1)
+  --foci "X, Y; ..."    focal points for iris and Voronoi, as fractions of the
+                        width and height; cells go by the closest.  For Voronoi,
+                        a point may have a third number, its delay in steps
+                        (default "0.5, 0.5")
+  --ellipse             for iris, stretch the circles to fit the screen
+  --seed-count N        for Voronoi, how many random seeds to scatter; 0 uses
+                        --foci instead (default 12)
+  --seed-delay N        for Voronoi, the most steps a seed may start late, picked
+                        at random per seed (default 0)
+  --metric NAME         for Voronoi; one of: ${Object.keys(DISTANCE_METRICS).join(', ')}
+                        (default euclidean)
+  --counterclockwise    for clock
+  --falloff N           0 to 1; how much distance from the center counts, for
+                        clock (default 0)
+  --center-x N, --center-y N
+                        0 to 1; the center, as a fraction of the width and
+                        height, for clock (default 0.5)
+  --step-range N        for random, how many different steps to pick from
+                        (default 16)
+  --density N           0 to 1; the fraction of cells that start out infected,
+                        for infect (default 0.03125)
+  --neighbors N         4 or 8; how many neighbors each cell spreads to, for
+                        infect on square grids (default 4)
+  --spread N            0 to 1; how much cells vary in how long they take to
+                        catch, for infect (default 0)
+  --noise-scale N       for noise, roughly how many cells across the blobs are
+                        (default 8)
+  --octaves N           for noise, how many layers of finer detail (default 3)
+  --bias N              0 to 1; for noise, how much to drift in the direction
+                        of --angle, where 1 is a plain wipe (default 0)
+  --seed N              seed for patterns with randomness: wipe with droop,
+                        Voronoi, random, infect, and noise (default 0)
+  --steps FILE          step grid for the custom pattern: CSV, a JSON array of
+                        arrays, or a grayscale PNG with one pixel per cell
+  --image FILE          PNG image for the image pattern; darker cells go first
+  --image-channel NAME  luminance or alpha; what to read from the image
+                        (default luminance)
+  --image-invert        for image, make lighter (or more opaque) cells go first
+  --image-contrast N    for image, how far to push the steps apart, where 1
+                        leaves them alone (default 1)
+  --image-gamma N       for image, how to curve the steps, where above 1 lets
+                        more cells go early (default 1)
+  --image-levels N      for image, how many distinct steps to round to, or 0
+                        for no rounding (default 0)
+  --easing CURVE        bake an easing into the mask: linear, ease, ease-in,
+                        ease-out, ease-in-out, cubic-bezier(X1, Y1, X2, Y2), or
+                        steps(N).  Otherwise, a recipe's easing is used if it
+                        says to bake it in (default linear)
+  --interlace N         interlace stride (default 1, i.e. none)
+  --reflect, --reverse, --mirror, --flip
+                        apply the corresponding modifier
+  -h, --help            show this message
+`;
+
+function parse_settings(argv) {
+    let options = {
+        output: { type: 'string', short: 'o' },
+        format: { type: 'string' },
+        recipe: { type: 'string' },
+        pattern: { type: 'string' },
+        direction: { type: 'string' },
+        layout: { type: 'string' },
+        foci: { type: 'string' },
+        metric: { type: 'string' },
+        'image-channel': { type: 'string' },
+        easing: { type: 'string' },
+        image: { type: 'string' },
+        steps: { type: 'string' },
+        width: { type: 'string' },
+        height: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+    };
+    for (const key of NUMERIC_OPTIONS) {
+        options[key] = { type: 'string' };
+    }
+    for (const key of [...WRAPPER_FLAGS, ...FLAGS]) {
+        options[key] = { type: 'boolean' };
+    }
+
+    const { values, positionals } = util.parseArgs({ args: argv, options, allowPositionals: true });
+    if (values.help) {
+        return null;
+    }
+    if (positionals.length > 1) {
+        throw new Error("Expected only one particle image");
+    }
+    if (! values.output) {
+        throw new Error("No output file given; use -o");
+    }
+    if (values.format !== undefined && values.format !== 'rgb' && ! MASK_EXPORT_FORMATS[values.format]) {
+        throw new Error(`Unknown format "${values.format}"; expected rgb, ${Object.keys(MASK_EXPORT_FORMATS).join(', ')}`);
+    }
+
+    let recipe = DEFAULT_RECIPE;
+    if (values.recipe) {
+        recipe = normalize_recipe(fs.readFileSync(values.recipe, 'utf8'));
+    }
+
+    let settings = Object.assign({}, recipe.settings, {
+        seed: recipe.seed === null ? 0 : recipe.seed,
+        output: values.output,
+        format: values.format || 'rgb',
+        width: recipe.resolution.width,
+        height: recipe.resolution.height,
+        easing: recipe.playback.bake_easing ? recipe.playback.easing : null,
+    });
+
+    if (positionals.length === 1) {
+        settings.particle = fs.readFileSync(positionals[0]);
+    }
+    else if (values.recipe && recipe.particle.image) {
+        const match = recipe.particle.image.match(/^data:image\/png;base64,(.*)$/);
+        if (! match) {
+            throw new Error("The recipe's particle image isn't a PNG data: URL");
+        }
+        settings.particle = Buffer.from(match[1], 'base64');
+    }
+    else if (values.recipe) {
+        throw new Error(`The recipe uses the preset particle "${recipe.particle.preset}", which needs a browser to draw; pass a particle image too`);
+    }
+    else {
+        throw new Error("Expected a particle image");
+    }
+
+    for (const key of ['pattern', 'direction', 'layout', 'foci', 'metric', 'image-channel']) {
+        if (values[key] !== undefined) {
+            settings[key] = values[key];
+        }
+    }
+    for (const key of [...NUMERIC_OPTIONS, 'width', 'height']) {
+        if (values[key] === undefined) {
+            continue;
+        }
+
+        const value = parseFloat(values[key]);
+        if (! isFinite(value)) {
+            throw new Error(`--${key} should be a number, not ${values[key]}`);
+        }
+        settings[key] = value;
+    }
+    for (const key of ['seed', 'seed-count']) {
+        if (! Number.isInteger(settings[key])) {
+            throw new Error(`--${key} should be a whole number`);
+        }
+    }
+    for (const key of ['width', 'height', 'rows', 'columns']) {
+        if (! Number.isInteger(settings[key]) || settings[key] < 1) {
+            throw new Error(`--${key} should be a whole number, at least 1`);
+        }
+    }
+    for (const key of [...WRAPPER_FLAGS, ...FLAGS]) {
+        if (values[key] !== undefined) {
+            settings[key] = values[key];
+        }
+    }
+    if (values.easing !== undefined) {
+        // Check it now, for a friendlier error
+        parse_easing(values.easing);
+        settings.easing = values.easing;
+    }
+    if (values.steps !== undefined) {
+        settings['custom-steps'] = read_step_grid_file(values.steps);
+    }
+    if (values.image !== undefined) {
+        settings['pattern-image'] = encode_pattern_image(decode_png(fs.readFileSync(values.image), zlib.inflateSync));
+    }
+
+    return settings;
+}
+
+// Read a step grid file, and return it as CSV, the same way the web UI keeps it
+function read_step_grid_file(path) {
+    const bytes = fs.readFileSync(path);
+    let grid;
+    if (path.toLowerCase().endsWith('.png')) {
+        grid = step_grid_from_image(decode_png(bytes, zlib.inflateSync));
+    }
+    else {
+        grid = parse_step_grid(bytes.toString('utf8'));
+    }
+    return step_grid_to_csv(grid);
+}
+
+function main(argv) {
+    let settings;
+    try {
+        settings = parse_settings(argv);
+    }
+    catch (e) {
+        process.stderr.write(`${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (! settings) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    // Anything from here on is most likely a bad particle or a pattern that
+    // doesn't make sense, so just say what's wrong, without the usage
+    try {
+        write_mask(settings);
+    }
+    catch (e) {
+        process.stderr.write(`${e.message}\n`);
+        return 2;
+    }
+    return 0;
+}
+
+function write_mask(settings) {
+    const particle = decode_png(settings.particle, zlib.inflateSync);
+    const generator = build_pattern_generator(settings);
+    let mask = {
+        width: settings.width,
+        height: settings.height,
+        data: new Uint8ClampedArray(settings.width * settings.height * 4),
+    };
+    generate_particle_wipe_mask(particle, mask, settings.rows, settings.columns, settings.delay, generator, null, settings.easing);
+
+    const format = MASK_EXPORT_FORMATS[settings.format];
+    if (! format) {
+        fs.writeFileSync(settings.output, encode_png(mask, { deflate: zlib.deflateSync }));
+    }
+    else if (format.png) {
+        fs.writeFileSync(settings.output, encode_png(format.convert(mask), Object.assign({ deflate: zlib.deflateSync }, format.png)));
+    }
+    else {
+        fs.writeFileSync(settings.output, format.convert(mask));
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
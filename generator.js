@@ -0,0 +1,2472 @@
+"use strict";
+// Everything needed to turn a particle and some settings into a mask, without
+// touching the DOM.  Images here are anything shaped like ImageData -- an
+// object with width, height, and RGBA data -- so this works equally well in
+// the browser and under Node (see cli.js).
+const tau = Math.PI * 2;
+
+function range(lo, hi, step) {
+    if (step === undefined) {
+        step = 1;
+    }
+    if (hi === undefined) {
+        hi = lo;
+        lo = 0;
+    }
+
+    return {
+        lo: lo,
+        hi: hi,
+        step: step,
+        pending: lo,
+        next: function() {
+            if (this.pending >= this.hi) {
+                return { done: true };
+            }
+            const value = this.pending;
+            this.pending += this.step;
+            return {
+                done: false,
+                value: value,
+            };
+        },
+        [Symbol.iterator]: function() {
+            return this;
+        },
+    }
+}
+
+// Random patterns are seeded, so they can be reproduced.  Rather than drawing
+// from a single stream of numbers, they hash the seed together with a cell's
+// coordinates; that way a cell's random value doesn't depend on how many cells
+// came before it, and changing the size of the grid doesn't reroll everything.
+// Returns a float in [0, 1).
+function seeded_random(seed, ...keys) {
+    let h = (seed | 0) ^ 0x2545f491;
+    for (const key of keys) {
+        h = Math.imul(h ^ (key | 0), 0x9e3779b1);
+        h ^= h >>> 15;
+        h = Math.imul(h, 0x85ebca77);
+        h ^= h >>> 13;
+    }
+    // Final avalanche, borrowed from MurmurHash3
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+}
+
+// Pick a fresh seed.  Kept smallish so it's easy to read out loud
+function random_seed() {
+    return Math.floor(Math.random() * 1000000);
+}
+
+// GRIDS -----------------------------------------------------------------------
+// The screen is chopped into rows and columns of cells, which are usually
+// rectangles, but can also be hexagons.  A grid object knows the shape: where
+// each cell sits, which cell a point falls in, and which cells are adjacent.
+// Positions are all measured in cells, so x runs from 0 to the number of
+// columns and y from 0 to the number of rows; multiply by the cell size to get
+// pixels.
+
+class SquareGrid {
+    constructor(row_ct, column_ct) {
+        this.row_ct = row_ct;
+        this.column_ct = column_ct;
+    }
+
+    // How many cells wide the particle stamp has to be, to cover a cell plus
+    // all of its neighbors
+    get stamp_span() {
+        return 3;
+    }
+
+    center(r, c) {
+        return [c + 0.5, r + 0.5];
+    }
+
+    // Which cell a point is in.  Points off the edge go to the nearest cell
+    cell_at(x, y) {
+        return [
+            Math.max(0, Math.min(this.row_ct - 1, Math.floor(y))),
+            Math.max(0, Math.min(this.column_ct - 1, Math.floor(x))),
+        ];
+    }
+
+    // Whether a point, relative to a cell's center, is inside that cell
+    in_home_cell(dx, dy) {
+        return Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5;
+    }
+
+    // Cells sharing an edge with this one, that are on the board
+    neighbors(r, c) {
+        return [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]].filter(([nr, nc]) => this.contains(nr, nc));
+    }
+
+    // Cells close enough that their particles might reach into this one before
+    // its own particle does, that are on the board.  Here, that's the
+    // neighbors plus the diagonals
+    nearby(r, c) {
+        let nearby = [];
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                if ((dr || dc) && this.contains(r + dr, c + dc)) {
+                    nearby.push([r + dr, c + dc]);
+                }
+            }
+        }
+        return nearby;
+    }
+
+    contains(r, c) {
+        return 0 <= r && r < this.row_ct && 0 <= c && c < this.column_ct;
+    }
+}
+
+// Vertical distance between rows of regular pointy hexagons, relative to the
+// horizontal distance between neighbors
+const HEX_RATIO = Math.sqrt(3) / 2;
+
+// Hexagons, either pointy-topped (flat = false), where every other row is
+// shoved right by half a cell; or flat-topped, where every other column is
+// shoved down by half a cell.  The hexes are stretched to fit the cells, the
+// same way square cells turn into rectangles.
+// Internally, everything is done as though the hexes were pointy, in terms of
+// "lines" (which zigzag) and "places" along them.  For pointy hexes those are
+// rows and columns; flat hexes are the same thing turned on its side.
+class HexGrid extends SquareGrid {
+    constructor(row_ct, column_ct, flat) {
+        super(row_ct, column_ct);
+        this.flat = flat;
+    }
+
+    get stamp_span() {
+        // Neighbors are up to a cell away, and a hex reaches 2/3 of a cell from
+        // its center, so cover two cells in every direction
+        return 4;
+    }
+
+    // Convert between [row, column] and [line, place], or [x, y] and
+    // [along, across].  This is its own inverse
+    _swap(a, b) {
+        return this.flat ? [b, a] : [a, b];
+    }
+
+    center(r, c) {
+        const [line, place] = this._swap(r, c);
+        return this._swap(place + 0.5 + (line & 1) / 2, line + 0.5);
+    }
+
+    cell_at(x, y) {
+        const [along, across] = this._swap(x, y);
+        const [line_ct, place_ct] = this._swap(this.row_ct, this.column_ct);
+
+        // The nearest center is on this line or one of the adjacent ones
+        let best = null;
+        let best_distance = Infinity;
+        const mid_line = Math.floor(across);
+        for (let line = mid_line - 1; line <= mid_line + 1; line++) {
+            if (line < 0 || line >= line_ct) {
+                continue;
+            }
+
+            const shift = (line & 1) / 2;
+            const place = Math.max(0, Math.min(place_ct - 1, Math.floor(along - shift)));
+            const d_along = along - (place + 0.5 + shift);
+            const d_across = (across - (line + 0.5)) * HEX_RATIO;
+            const distance = d_along * d_along + d_across * d_across;
+            if (distance < best_distance) {
+                best_distance = distance;
+                best = [line, place];
+            }
+        }
+        return this._swap(...best);
+    }
+
+    in_home_cell(dx, dy) {
+        // Closer to this center than to any of the six around it
+        const [along, across] = this._swap(dx, dy);
+        const distance = along * along + (across * HEX_RATIO) ** 2;
+        for (const [n_along, n_across] of [[1, 0], [-1, 0], [0.5, 1], [-0.5, 1], [0.5, -1], [-0.5, -1]]) {
+            if ((along - n_along) ** 2 + ((across - n_across) * HEX_RATIO) ** 2 < distance) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Axial coordinates, where the two axes are 60° apart, which makes the
+    // math for distances and lines a lot simpler.  See:
+    // https://www.redblobgames.com/grids/hexagons/
+    axial(r, c) {
+        const [line, place] = this._swap(r, c);
+        return [place - Math.floor(line / 2), line];
+    }
+
+    // Number of steps it takes to walk from one hex to another
+    distance(r1, c1, r2, c2) {
+        const [q1, l1] = this.axial(r1, c1);
+        const [q2, l2] = this.axial(r2, c2);
+        const dq = q1 - q2;
+        const dl = l1 - l2;
+        return (Math.abs(dq) + Math.abs(dl) + Math.abs(dq + dl)) / 2;
+    }
+
+    neighbors(r, c) {
+        return super.nearby(r, c).filter(([nr, nc]) => this.distance(r, c, nr, nc) === 1);
+    }
+
+    nearby(r, c) {
+        return this.neighbors(r, c);
+    }
+}
+
+// Rectangles, like a brick wall: every other row (or column, if columns is
+// true) is shoved over by some fraction of a cell.  That happens to connect up
+// exactly like a hex grid -- each cell touches two cells in the row above and
+// two in the row below -- so this is a HexGrid as far as patterns care; only
+// the shapes are different.  (A stagger of zero would just be a square grid.)
+class BrickGrid extends HexGrid {
+    constructor(row_ct, column_ct, columns, stagger) {
+        super(row_ct, column_ct, columns);
+        this.stagger = stagger;
+    }
+
+    get stamp_span() {
+        // Nearby centers can be 1½ cells away sideways, plus half a cell to
+        // the edge of our own cell
+        return 4;
+    }
+
+    center(r, c) {
+        const [line, place] = this._swap(r, c);
+        return this._swap(place + 0.5 + (line & 1) * this.stagger, line + 0.5);
+    }
+
+    cell_at(x, y) {
+        const [along, across] = this._swap(x, y);
+        const [line_ct, place_ct] = this._swap(this.row_ct, this.column_ct);
+        const line = Math.max(0, Math.min(line_ct - 1, Math.floor(across)));
+        const place = Math.max(0, Math.min(place_ct - 1, Math.floor(along - (line & 1) * this.stagger)));
+        return this._swap(line, place);
+    }
+
+    in_home_cell(dx, dy) {
+        return Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5;
+    }
+
+    nearby(r, c) {
+        // Everything in this line and the adjacent ones, within a cell and a
+        // half sideways, which catches the corners of the bricks
+        const [line, place] = this._swap(r, c);
+        const [line_ct, place_ct] = this._swap(this.row_ct, this.column_ct);
+        const here = place + (line & 1) * this.stagger;
+        let nearby = [];
+        for (let l = line - 1; l <= line + 1; l++) {
+            if (l < 0 || l >= line_ct) {
+                continue;
+            }
+            const shift = (l & 1) * this.stagger;
+            for (let p = Math.ceil(here - 1.5 - shift); p <= here + 1.5 - shift; p++) {
+                if (0 <= p && p < place_ct && (l !== line || p !== place)) {
+                    nearby.push(this._swap(l, p));
+                }
+            }
+        }
+        return nearby;
+    }
+}
+
+// Settings value for each kind of grid
+const GRID_LAYOUTS = {
+    square: (row_ct, column_ct) => new SquareGrid(row_ct, column_ct),
+    'hex-pointy': (row_ct, column_ct) => new HexGrid(row_ct, column_ct, false),
+    'hex-flat': (row_ct, column_ct) => new HexGrid(row_ct, column_ct, true),
+    'brick-rows': (row_ct, column_ct, stagger) => stagger ? new BrickGrid(row_ct, column_ct, false, stagger) : new SquareGrid(row_ct, column_ct),
+    'brick-columns': (row_ct, column_ct, stagger) => stagger ? new BrickGrid(row_ct, column_ct, true, stagger) : new SquareGrid(row_ct, column_ct),
+};
+
+function build_cell_grid(settings) {
+    const layout = settings.layout || 'square';
+    const factory = GRID_LAYOUTS[layout];
+    if (! factory) {
+        throw new Error(`No such grid layout: ${layout}`);
+    }
+    // Only bricks care about this.  A full cell is the same as none
+    const stagger = ((settings.stagger || 0) % 1 + 1) % 1;
+    return factory(settings.rows, settings.columns, stagger);
+}
+
+// Search outwards from some starting cells, across whatever counts as adjacent
+// on the grid.  Returns an array of rows, with the number of steps it took to
+// reach each cell.  Each move costs one step, unless cost(r, c) says how many
+// steps it takes to get into a particular cell
+function flood_grid_steps(grid, sources, cost) {
+    let steps = [];
+    for (let r = 0; r < grid.row_ct; r++) {
+        steps.push(new Array(grid.column_ct).fill(Infinity));
+    }
+
+    // With every move costing the same, this is a plain breadth-first search.
+    // Otherwise, a cell may be reached again later by a cheaper route, in which
+    // case it goes back in the queue to pass the savings on
+    let queue = [];
+    for (const [r, c] of sources) {
+        if (steps[r][c] > 0) {
+            steps[r][c] = 0;
+            queue.push([r, c]);
+        }
+    }
+    for (let i = 0; i < queue.length; i++) {
+        const [r, c] = queue[i];
+        for (const [nr, nc] of grid.neighbors(r, c)) {
+            const step = steps[r][c] + (cost ? cost(nr, nc) : 1);
+            if (step < steps[nr][nc]) {
+                steps[nr][nc] = step;
+                queue.push([nr, nc]);
+            }
+        }
+    }
+    return steps;
+}
+
+// A "pattern" is the order in which the wipe's cells are revealed.  Each cell
+// is associated with a "step", which is an integer starting from zero.  The
+// maximum step is given by the max_step() method.
+// One of the simplest patterns is the "row" pattern, where each row is
+// revealed in order; therefore each cell's step is simply its row index, and
+// the max step is one less than the number of rows.
+// Note that it's possible to query cells OUTSIDE the grid, in which case the
+// resulting step might be less than zero or more than the max step.  This can
+// happen if the particle may start outside the mask and expand into it.  Only
+// the immediate outer border is allowed to be queried this way.
+class PatternGenerator {
+    // cell_grid is a SquareGrid, or another layout from GRID_LAYOUTS.  Most
+    // patterns only care about its rows and columns anyway
+    constructor(cell_grid) {
+        this.cell_grid = cell_grid;
+        this.row_ct = cell_grid.row_ct;
+        this.column_ct = cell_grid.column_ct;
+    }
+
+    get max_step() {
+        const max_step = this._get_max_step();
+        // Overwrite the getter with a regular property
+        Object.defineProperty(this, 'max_step', { value: max_step });
+        return max_step;
+    }
+
+    _get_max_step() {
+        throw new Error("Must define _get_max_step");
+    }
+
+    cell(r, c) {
+        throw new Error("Must define cell");
+    }
+}
+
+class RowPattern extends PatternGenerator {
+    constructor(cell_grid, droop, seed) {
+        super(cell_grid);
+
+        this.range = Math.ceil(droop * this.row_ct);
+        this.offsets = [];
+        for (let c = -1; c < this.column_ct + 1; c++) {
+            this.offsets.push(Math.floor(seeded_random(seed, c) * this.range));
+        }
+    }
+    _get_max_step() {
+        return this.row_ct - 1 + this.range;
+    }
+    cell(r, c) {
+        return r + this.offsets[c + 1];
+    }
+}
+class ColumnPattern extends PatternGenerator {
+    constructor(cell_grid, droop, seed) {
+        super(cell_grid);
+
+        this.range = Math.ceil(droop * this.column_ct);
+        this.offsets = [];
+        for (let r = -1; r < this.row_ct + 1; r++) {
+            this.offsets.push(Math.floor(seeded_random(seed, r) * this.range));
+        }
+    }
+    _get_max_step() {
+        return this.column_ct - 1 + this.range;
+    }
+    cell(r, c) {
+        return c + this.offsets[r + 1];
+    }
+}
+// FIXME support droop i guess?
+class DiagonalPattern extends PatternGenerator {
+    _get_max_step() {
+        return this.row_ct - 1 + this.column_ct - 1;
+    }
+    cell(r, c) {
+        return r + c;
+    }
+}
+
+// Wipes at any angle.  The angle is in turns, like the spiral's, and is the
+// direction the wipe travels: 0 goes left to right, 1/4 bottom to top, and so
+// on.  Steps are measured in cells along the way, using cell centers from the
+// grid, so this works on any layout -- but on a grid with very un-square
+// cells, the angle on screen won't quite match the slider.
+class LinearPattern extends PatternGenerator {
+    constructor(cell_grid, angle) {
+        super(cell_grid);
+        // Flip y because it points down, as with the spiral
+        this.dx = Math.cos(angle * tau);
+        this.dy = -Math.sin(angle * tau);
+    }
+
+    // The farthest any cell gets along and across, relative to the earliest
+    // corner.  This is worked out the first time it's needed
+    get extent() {
+        let min_along = Infinity;
+        let min_across = Infinity;
+        let max_along = -Infinity;
+        let max_across = -Infinity;
+        for (let r = 0; r < this.row_ct; r++) {
+            for (let c = 0; c < this.column_ct; c++) {
+                const [along, across] = this._raw_project(r, c);
+                min_along = Math.min(min_along, along);
+                min_across = Math.min(min_across, across);
+                max_along = Math.max(max_along, along);
+                max_across = Math.max(max_across, across);
+            }
+        }
+        const extent = {
+            min_along: min_along,
+            min_across: min_across,
+            along: max_along - min_along,
+            across: max_across - min_across,
+        };
+        // Overwrite the getter, same as max_step
+        Object.defineProperty(this, 'extent', { value: extent });
+        return extent;
+    }
+
+    // Returns [along, across]: how far a cell is along the direction of
+    // travel, and how far sideways, both measured from the earliest corner
+    _project(r, c) {
+        const [along, across] = this._raw_project(r, c);
+        return [along - this.extent.min_along, across - this.extent.min_across];
+    }
+
+    _raw_project(r, c) {
+        const [x, y] = this.cell_grid.center(r, c);
+        return [x * this.dx + y * this.dy, y * this.dx - x * this.dy];
+    }
+
+    _get_max_step() {
+        // Corners are easy enough to figure out, but with droop and on other
+        // layouts, it's simpler to just check everything
+        let max_step = 0;
+        for (let r = 0; r < this.row_ct; r++) {
+            for (let c = 0; c < this.column_ct; c++) {
+                max_step = Math.max(max_step, this.cell(r, c));
+            }
+        }
+        return max_step;
+    }
+}
+// Like RowPattern, droop pushes each lane of cells (running in the direction of
+// the wipe) back by a random amount
+class LinearWipePattern extends LinearPattern {
+    constructor(cell_grid, droop, seed, angle) {
+        super(cell_grid, angle);
+        this.droop = droop;
+        this.seed = seed;
+    }
+    get range() {
+        return Math.ceil(this.droop * this.extent.along);
+    }
+    cell(r, c) {
+        const [along, across] = this._project(r, c);
+        const lane = Math.floor(across + 0.5);
+        return along + Math.floor(seeded_random(this.seed, lane) * this.range);
+    }
+}
+// Like RowCurtainPattern: travels along, while closing in from both sides
+class LinearCurtainPattern extends LinearPattern {
+    cell(r, c) {
+        const [along, across] = this._project(r, c);
+        return along + Math.min(across, this.extent.across - across);
+    }
+}
+// Like RowShutterPattern: closes in from both ends at once
+class LinearShutterPattern extends LinearPattern {
+    cell(r, c) {
+        const [along, across] = this._project(r, c);
+        return Math.min(along, this.extent.along - along);
+    }
+}
+// Like RowPinchPattern: closes in from both ends, points first
+class LinearPinchPattern extends LinearPattern {
+    cell(r, c) {
+        const [along, across] = this._project(r, c);
+        return Math.min(along, this.extent.along - along) + Math.abs(across - this.extent.across / 2);
+    }
+}
+// Like RowSlidePattern: the bands are lanes running the way the angle points,
+// and every other one runs backwards
+class LinearSlidePattern extends LinearPattern {
+    constructor(cell_grid, band_size, angle) {
+        super(cell_grid, angle);
+        this.band_size = Math.max(1, band_size);
+    }
+    cell(r, c) {
+        const [along, across] = this._project(r, c);
+        const band = Math.floor((across + 0.5) / this.band_size);
+        return band % 2 === 0 ? along : this.extent.along - along;
+    }
+}
+
+// Helper for some of the patterns that come in from both directions at once.
+// Given n (say, a row index) and count (say, the number of rows), returns the
+// distance from the nearest edge.
+function reflect(n, count) {
+    const midpoint = count / 2;
+    if (n < midpoint) {
+        return n;
+    }
+    else {
+        return count - 1 - n;
+    }
+}
+// Largest step you can get by reflecting
+// FIXME not sure this is right for reflecting spiral
+function reflect_max(count) {
+    return Math.floor(count / 2 - 0.5);
+}
+
+class RowCurtainPattern extends PatternGenerator {
+    _get_max_step() {
+        return this.row_ct - 1 + reflect_max(this.column_ct);
+    }
+    cell(r, c) {
+        return r + reflect(c, this.column_ct);
+    }
+}
+class ColumnCurtainPattern extends PatternGenerator {
+    _get_max_step() {
+        return this.column_ct - 1 + reflect_max(this.row_ct);
+    }
+
+    cell(r, c) {
+        return c + reflect(r, this.row_ct);
+    }
+}
+// This doesn't entirely make sense, but for the sake of completion...
+class DiagonalCurtainPattern extends PatternGenerator {
+    _get_max_step() {
+        return Math.min(this.row_ct, this.column_ct) - 1;
+    }
+
+    cell(r, c) {
+        return Math.min(r, c);
+    }
+}
+
+class RowShutterPattern extends PatternGenerator {
+    _get_max_step() {
+        return reflect_max(this.row_ct);
+    }
+    cell(r, c) {
+        return reflect(r, this.row_ct);
+    }
+}
+class ColumnShutterPattern extends PatternGenerator {
+    _get_max_step() {
+        return reflect_max(this.column_ct);
+    }
+
+    cell(r, c) {
+        return reflect(c, this.column_ct);
+    }
+}
+class MainDiagonalShutterPattern extends PatternGenerator {
+    _get_max_step() {
+        return reflect_max(this.row_ct + this.column_ct);
+    }
+
+    cell(r, c) {
+        return reflect(r + c, this.row_ct + this.column_ct);
+    }
+}
+
+// Pinch is a shutter where the two fronts are chevrons, like > <, so the middle
+// of each one leads the way and the edges catch up last
+class RowPinchPattern extends PatternGenerator {
+    _get_max_step() {
+        return reflect_max(this.row_ct) + reflect_max(this.column_ct);
+    }
+    cell(r, c) {
+        return reflect(r, this.row_ct) + reflect_max(this.column_ct) - reflect(c, this.column_ct);
+    }
+}
+class ColumnPinchPattern extends PatternGenerator {
+    _get_max_step() {
+        return reflect_max(this.column_ct) + reflect_max(this.row_ct);
+    }
+    cell(r, c) {
+        return reflect(c, this.column_ct) + reflect_max(this.row_ct) - reflect(r, this.row_ct);
+    }
+}
+// Closes in from the top left and bottom right, with the points meeting in the
+// middle of the other diagonal
+class DiagonalPinchPattern extends PatternGenerator {
+    _get_max_step() {
+        let max_step = 0;
+        for (let r = 0; r < this.row_ct; r++) {
+            for (let c = 0; c < this.column_ct; c++) {
+                max_step = Math.max(max_step, this.cell(r, c));
+            }
+        }
+        return max_step;
+    }
+    cell(r, c) {
+        const across = Math.floor(Math.abs(r - c - (this.row_ct - this.column_ct) / 2));
+        return reflect(r + c, this.row_ct + this.column_ct) + across;
+    }
+}
+
+// Sliding rows come in from the left and right alternately, band_size rows at a
+// time, like the teeth of a zipper
+class RowSlidePattern extends PatternGenerator {
+    constructor(cell_grid, band_size) {
+        super(cell_grid);
+        this.band_size = Math.max(1, Math.floor(band_size));
+    }
+    _get_max_step() {
+        return this.column_ct - 1;
+    }
+    cell(r, c) {
+        // Cells outside the grid still need to belong to the nearest band
+        const band = Math.floor(Math.max(0, Math.min(this.row_ct - 1, r)) / this.band_size);
+        return band % 2 === 0 ? c : this.column_ct - 1 - c;
+    }
+}
+class ColumnSlidePattern extends PatternGenerator {
+    constructor(cell_grid, band_size) {
+        super(cell_grid);
+        this.band_size = Math.max(1, Math.floor(band_size));
+    }
+    _get_max_step() {
+        return this.row_ct - 1;
+    }
+    cell(r, c) {
+        const band = Math.floor(Math.max(0, Math.min(this.column_ct - 1, c)) / this.band_size);
+        return band % 2 === 0 ? r : this.row_ct - 1 - r;
+    }
+}
+// Diagonal bands, coming in from the top left and bottom right corners
+class DiagonalSlidePattern extends PatternGenerator {
+    constructor(cell_grid, band_size) {
+        super(cell_grid);
+        this.band_size = Math.max(1, Math.floor(band_size));
+    }
+    _get_max_step() {
+        return this.row_ct - 1 + this.column_ct - 1;
+    }
+    cell(r, c) {
+        const lane = Math.max(0, Math.min(this.row_ct + this.column_ct - 2, r - c + this.column_ct - 1));
+        const band = Math.floor(lane / this.band_size);
+        return band % 2 === 0 ? r + c : this.row_ct - 1 + this.column_ct - 1 - (r + c);
+    }
+}
+
+class DiamondPattern extends PatternGenerator {
+    _get_max_step() {
+        return reflect_max(this.row_ct) + reflect_max(this.column_ct);
+    }
+
+    cell(r, c) {
+        return reflect(r, this.row_ct) + reflect(c, this.column_ct);
+    }
+}
+class BoxPattern extends PatternGenerator {
+    _get_max_step() {
+        return Math.min(reflect_max(this.row_ct), reflect_max(this.column_ct));
+    }
+
+    cell(r, c) {
+        return Math.min(reflect(r, this.row_ct), reflect(c, this.column_ct));
+    }
+}
+
+class SpiralPattern extends PatternGenerator {
+    constructor(cell_grid, fill_delay, spiral_ct, arm_ct, angle) {
+        super(cell_grid);
+        this.fill_delay = fill_delay;
+        this.spiral_ct = spiral_ct;
+        this.arm_ct = arm_ct;
+        this.angle = angle;  // in turns, 0–1!
+
+        // Overall radius of the grid
+        // TODO should this be the diagonal?
+        this.radius = Math.max(this.row_ct, this.column_ct) / 2;
+
+        // Width of each spiral (i.e. spacing between them), measured in cells
+        this.spiral_width = this.radius / this.spiral_ct;
+
+        // Cells spread outwards from the spiral, but the spiral will
+        // eventually wrap around again and start spreading cells back inwards.
+        // This is the meeting point (in fractions of a spiral) between
+        // outwards and inwards growing cells
+        this.fill_meet = (1 + 1 / this.fill_delay) / 2;
+
+        // Steps are normally integers, counting each cell that appears in
+        // order.  But this relies on a bunch of trig, so the results aren't
+        // integers.  Try our best, though, by scaling up by the circumference
+        // of a spiral with half the maximum radius.
+        this.scale = this.radius / 2 * tau;
+    }
+
+    _get_max_step() {
+        // The furthest away we can get is along a diagonal
+        const dx = this.column_ct / 2 - 1/2;
+        const dy = this.row_ct / 2 - 1/2;
+        const d = Math.sqrt(dx*dx + dy*dy) / this.spiral_width;
+
+        // The math for which corner has the greatest pixel is a little ugly,
+        // so, fuck it; let's just try all four corners and pick the max.  In
+        // practice, this is shockingly accurate, usually over by ~1% and very
+        // rarely under by less than a percent (usually < 0.1%).
+        let base_angle = (Math.atan2(dy, dx) + tau) % (tau / 4);
+        const calc = angle => {
+            let offset = (angle * this.arm_ct / tau - this.angle + 1) % 1;
+            // If the corner we're sampling is past the meet point, we should
+            // back up and use the meet point instead, since it's brighter
+            let d2 = d;
+            if (d < offset) {
+                // Ah, my old nemesis, the innermost spiral
+                if (d > offset * this.fill_meet) {
+                    d2 = offset * this.fill_meet;
+                }
+            }
+            else {
+                const rem = (d - offset) % 1;
+                if (rem > this.fill_meet) {
+                    d2 = d - rem + this.fill_meet;
+                }
+            }
+            return this._calc(d2, angle);
+        };
+        return Math.max(
+            calc(base_angle),
+            calc(tau/2 - base_angle),
+            calc(base_angle + tau/2),
+            calc(tau - base_angle));
+    }
+
+    _calc(d, theta) {
+        theta = (theta * this.arm_ct + tau * (2 - this.angle)) % tau;
+        // How far out spirals start at this angle, in fractions of a spiral (0 to 1)
+        const offset = theta / tau;
+
+        let d2 = d - offset;
+        // Nearest spiral, and the distance from it
+        let nearest_spiral = Math.floor(d2 + 1 - this.fill_meet);
+        let dist_to_spiral = Math.abs(nearest_spiral - d2);
+        // How far along the spiral this point is, in revolutions
+        let t = nearest_spiral + offset;
+        // If we're inside the innermost spiral, the distance from here to the
+        // center is smaller than the distance between spirals normally is, so
+        // adjust accordingly
+        if (d < offset) {
+            if (d < offset * this.fill_meet) {
+                // We're so close to the center that angle is irrelevant
+                t = 0;
+                dist_to_spiral = d;
+            }
+            else {
+                // Outer spiral is closer than the origin
+                dist_to_spiral = offset - d;
+            }
+        }
+
+        // The spiral itself is the main counter here, and cells between the
+        // spiral's arms are filled in outwards, with fill_delay being the time
+        // (in full spirals) it takes to spread from one arm to the next
+        return this.scale * (t + dist_to_spiral * this.fill_delay);
+    }
+
+    cell(r, c) {
+        const w = this.spiral_width;
+
+        // Coordinates of this cell's center, in grid cells, relative to center
+        const x = (c + 0.5) - (this.column_ct / 2);
+        const y = (r + 0.5) - (this.row_ct / 2);
+        // Distance this cell is from the center, in spiral widths (which are
+        // themselves still measured in grid cells)
+        let d = Math.sqrt(x*x + y*y) / w;
+
+        // Flip y because it points down (since this is an image) but
+        // Math.atan2 thinks it points up
+        return this._calc(d, Math.atan2(-y, x));
+    }
+}
+
+// Sweeps around a center point, like the hands of a clock.  The angle is where
+// it starts, in turns, like the spiral's; and like the spiral, it can have
+// several arms, each sweeping its own sector at the same time.  Falloff blends
+// in the distance from the center: at 0 it's purely the angle, and at 1 it's
+// purely the distance.  The center is given as a fraction of the board.
+class ClockPattern extends PatternGenerator {
+    constructor(cell_grid, angle, counterclockwise, sector_ct, falloff, center_x, center_y) {
+        super(cell_grid);
+        this.angle = angle;
+        this.counterclockwise = counterclockwise;
+        this.sector_ct = Math.max(1, sector_ct);
+        this.falloff = falloff;
+        this.center_x = center_x * this.column_ct;
+        this.center_y = center_y * this.row_ct;
+
+        // Steps are normally cells, so count one sweep as however many cells
+        // it passes along the edge of the board
+        this.sweep_length = 2 * (this.row_ct + this.column_ct) / this.sector_ct;
+    }
+
+    _get_max_step() {
+        let max_step = 0;
+        for (let r = 0; r < this.row_ct; r++) {
+            for (let c = 0; c < this.column_ct; c++) {
+                max_step = Math.max(max_step, this.cell(r, c));
+            }
+        }
+        return max_step;
+    }
+
+    cell(r, c) {
+        const [cx, cy] = this.cell_grid.center(r, c);
+        const x = cx - this.center_x;
+        const y = cy - this.center_y;
+
+        // Flip y because it points down, as with the spiral.  Then measure from
+        // the starting angle, in turns, going the right way around
+        let turns = Math.atan2(-y, x) / tau - this.angle;
+        if (! this.counterclockwise) {
+            turns = -turns;
+        }
+        // Each sector gets its own full sweep
+        turns = ((turns * this.sector_ct) % 1 + 1) % 1;
+
+        const distance = Math.sqrt(x*x + y*y);
+        return (1 - this.falloff) * turns * this.sweep_length + this.falloff * distance;
+    }
+}
+
+// Seeded Perlin noise: smooth random hills and valleys, with a random slope at
+// every whole-numbered point, so features are about 1 unit across.  Returns a
+// float in roughly [-1, 1].  The extra keys go to seeded_random, to get
+// several independent fields out of one seed
+function gradient_noise(x, y, seed, ...keys) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    // Dot product of a corner's random slope with the offset from that corner
+    const corner = (ix, iy) => {
+        const theta = seeded_random(seed, ix, iy, ...keys) * tau;
+        return Math.cos(theta) * (x - ix) + Math.sin(theta) * (y - iy);
+    };
+    // Perlin's smootherstep, so the seams between squares don't show
+    const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+    const u = fade(x - x0);
+    const v = fade(y - y0);
+    const top = corner(x0, y0) + (corner(x0 + 1, y0) - corner(x0, y0)) * u;
+    const bottom = corner(x0, y0 + 1) + (corner(x0 + 1, y0 + 1) - corner(x0, y0 + 1)) * u;
+    // A single octave of 2D Perlin noise only reaches about ±0.7
+    return (top + (bottom - top) * v) * Math.SQRT2;
+}
+
+// Organic, blobby spreading, like burning paper or ink soaking in, by using a
+// noise field as the steps.  scale is about how many cells across the blobs
+// are, and each extra octave adds detail half the size of the last one.  Bias
+// mixes in a wipe in the direction of the angle: at 0 it's purely noise, and at
+// 1 it's purely a wipe.
+class NoisePattern extends LinearPattern {
+    constructor(cell_grid, scale, octave_ct, bias, angle, seed) {
+        super(cell_grid, angle);
+        this.scale = Math.max(scale, 0.01);
+        this.octave_ct = Math.max(1, Math.floor(octave_ct));
+        this.bias = bias;
+        this.seed = seed;
+    }
+
+    // Noise is never quite 0 anywhere, so find the lowest step to start from
+    get min_raw_step() {
+        let min_raw_step = Infinity;
+        for (let r = 0; r < this.row_ct; r++) {
+            for (let c = 0; c < this.column_ct; c++) {
+                min_raw_step = Math.min(min_raw_step, this._raw_step(r, c));
+            }
+        }
+        Object.defineProperty(this, 'min_raw_step', { value: min_raw_step });
+        return min_raw_step;
+    }
+
+    _raw_step(r, c) {
+        const [x, y] = this.cell_grid.center(r, c);
+        let noise = 0;
+        let amplitude = 1;
+        let total_amplitude = 0;
+        for (let octave = 0; octave < this.octave_ct; octave++) {
+            const frequency = (1 << octave) / this.scale;
+            noise += gradient_noise(x * frequency, y * frequency, this.seed, octave) * amplitude;
+            total_amplitude += amplitude;
+            amplitude /= 2;
+        }
+        // Stretch the noise over the same number of steps a wipe would take,
+        // so bias blends between two things of about the same size
+        noise = (noise / total_amplitude + 1) / 2 * this.extent.along;
+
+        const [along, across] = this._project(r, c);
+        return this.bias * along + (1 - this.bias) * noise;
+    }
+
+    cell(r, c) {
+        return this._raw_step(r, c) - this.min_raw_step;
+    }
+}
+
+// Parse a list of points, as typed by a human: pairs of numbers like "0.5, 0.5",
+// separated by semicolons or new lines.  A point may have a third number, which
+// means whatever the pattern wants it to (Voronoi uses it as a delay).  Returns
+// an array of [x, y] or [x, y, extra] arrays.  Throws if it doesn't make sense.
+function parse_points(text) {
+    let points = [];
+    for (const chunk of text.split(/[;\n]/)) {
+        if (chunk.trim() === '') {
+            continue;
+        }
+        const numbers = chunk.split(/[,\s]+/).filter(n => n !== '').map(Number);
+        if (numbers.length < 2 || numbers.length > 3 || ! numbers.every(n => isFinite(n))) {
+            throw new Error(`Expected a point like "0.5, 0.5", not "${chunk.trim()}"`);
+        }
+        points.push(numbers);
+    }
+    return points;
+}
+
+function format_points(points) {
+    return points.map(point => point.join(', ')).join('; ');
+}
+
+// Closes or opens in circles, around one or more focal points, each given as a
+// fraction of the board.  With several, each cell goes by whichever is
+// closest.  Normally distance is measured in cells, so the circles are round
+// if the cells are square; with ellipse, it's measured as a fraction of the
+// board instead, so the circles stretch to fit the screen and reach every edge
+// at once.
+class IrisPattern extends PatternGenerator {
+    constructor(cell_grid, foci, ellipse) {
+        super(cell_grid);
+        if (typeof foci === 'string') {
+            foci = parse_points(foci);
+        }
+        if (! foci || ! foci.length) {
+            foci = [[0.5, 0.5]];
+        }
+        this.foci = foci;
+        this.ellipse = ellipse;
+    }
+
+    _get_max_step() {
+        let max_step = 0;
+        for (let r = 0; r < this.row_ct; r++) {
+            for (let c = 0; c < this.column_ct; c++) {
+                max_step = Math.max(max_step, this.cell(r, c));
+            }
+        }
+        return max_step;
+    }
+
+    cell(r, c) {
+        const [cx, cy] = this.cell_grid.center(r, c);
+        let distance = Infinity;
+        for (const [fx, fy] of this.foci) {
+            let dx = cx - fx * this.column_ct;
+            let dy = cy - fy * this.row_ct;
+            if (this.ellipse) {
+                // Squash everything into a square the size of the average side,
+                // so the steps are still roughly one per cell
+                const side = (this.row_ct + this.column_ct) / 2;
+                dx *= side / this.column_ct;
+                dy *= side / this.row_ct;
+            }
+            distance = Math.min(distance, Math.sqrt(dx*dx + dy*dy));
+        }
+        return distance;
+    }
+}
+
+// Ways to measure distance, for Voronoi
+const DISTANCE_METRICS = {
+    euclidean: (dx, dy) => Math.sqrt(dx*dx + dy*dy),
+    manhattan: (dx, dy) => Math.abs(dx) + Math.abs(dy),
+    chebyshev: (dx, dy) => Math.max(Math.abs(dx), Math.abs(dy)),
+};
+
+// Splits the board into regions around some seed points, each of which grows
+// outwards from its seed until it meets its neighbors.  The seeds are either
+// scattered at random (seed_ct of them), or, if seed_ct is 0, placed by hand as
+// focal points.  Each seed also starts late by up to seed_delay steps, chosen
+// at random, unless a placed point gives its own delay as a third number.
+// Distances are in cells, measured with one of DISTANCE_METRICS.
+class VoronoiPattern extends PatternGenerator {
+    constructor(cell_grid, seed_ct, foci, seed_delay, metric, seed) {
+        super(cell_grid);
+
+        this.distance = DISTANCE_METRICS[metric];
+        if (! this.distance) {
+            throw new Error(`No such distance metric: ${metric}`);
+        }
+
+        // Each of these is [x, y, delay], with x and y as a fraction of the board
+        this.foci = [];
+        if (seed_ct > 0) {
+            for (let i = 0; i < seed_ct; i++) {
+                this.foci.push([
+                    seeded_random(seed, i, 0),
+                    seeded_random(seed, i, 1),
+                    seeded_random(seed, i, 2) * seed_delay,
+                ]);
+            }
+        }
+        else {
+            if (typeof foci === 'string') {
+                foci = parse_points(foci);
+            }
+            if (! foci || ! foci.length) {
+                throw new Error("Voronoi needs at least one seed; place some, or ask for random ones");
+            }
+            foci.forEach(([x, y, delay], i) => {
+                if (delay === undefined) {
+                    delay = seeded_random(seed, i, 2) * seed_delay;
+                }
+                this.foci.push([x, y, delay]);
+            });
+        }
+    }
+
+    _get_max_step() {
+        let max_step = 0;
+        for (let r = 0; r < this.row_ct; r++) {
+            for (let c = 0; c < this.column_ct; c++) {
+                max_step = Math.max(max_step, this.cell(r, c));
+            }
+        }
+        return max_step;
+    }
+
+    cell(r, c) {
+        const [cx, cy] = this.cell_grid.center(r, c);
+        let step = Infinity;
+        for (const [fx, fy, delay] of this.foci) {
+            step = Math.min(step, delay + this.distance(cx - fx * this.column_ct, cy - fy * this.row_ct));
+        }
+        return step;
+    }
+}
+
+// FIXME should this try to enforce that cells aren't left to grow until they hit a wall?  or should i make the generator smarter and willing to keep looking (!)
+// Every cell picks a random step from 0 up to (but not including) step_range
+class RandomPattern extends PatternGenerator {
+    constructor(cell_grid, seed, step_range = 16) {
+        super(cell_grid);
+
+        if (! (step_range >= 1)) {
+            throw new Error("Random needs a step range of at least 1");
+        }
+        this.step_range = Math.floor(step_range);
+        const range = this.max_step;
+        this.cells = [];
+        for (let r = -1; r < this.row_ct + 1; r++) {
+            let row = [];
+            for (let c = -1; c < this.column_ct + 1; c++) {
+                row.push(Math.floor(seeded_random(seed, r, c) * range));
+            }
+            this.cells.push(row);
+        }
+    }
+
+    _get_max_step() {
+        return this.step_range;
+    }
+
+    cell(r, c) {
+        return this.cells[r + 1][c + 1];
+    }
+}
+
+// Pick some seed cells for infect: the ones that happen to roll the lowest,
+// which keeps the same cells infected (more or less) if the grid changes.
+// There's always at least one, and never more than every cell
+function pick_infect_seeds(row_ct, column_ct, density, seed) {
+    const num_seeds = Math.max(1, Math.ceil(density * row_ct * column_ct));
+    let rolls = [];
+    for (let r = 0; r < row_ct; r++) {
+        for (let c = 0; c < column_ct; c++) {
+            rolls.push([seeded_random(seed, r, c), r, c]);
+        }
+    }
+    rolls.sort((a, b) => a[0] - b[0]);
+    return rolls.slice(0, num_seeds).map(([roll, r, c]) => [r, c]);
+}
+
+// Which cells an infected cell spreads to, by how many of them there are
+const INFECT_NEIGHBORHOODS = {
+    4: [[-1, 0], [1, 0], [0, -1], [0, 1]],
+    8: [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]],
+};
+
+// Infects a random density of the cells, then spreads outwards from them, one
+// step per cell.  With some spread, each cell instead takes a random extra
+// time to catch, up to twice as long again at a spread of 1, so the blobs come
+// out ragged rather than as neat diamonds (or squares, with 8 neighbors)
+class InfectPattern extends PatternGenerator {
+    constructor(cell_grid, seed, density = 1/32, neighbor_ct = 4, spread = 0) {
+        super(cell_grid);
+
+        const neighborhood = INFECT_NEIGHBORHOODS[neighbor_ct];
+        if (! neighborhood) {
+            throw new Error(`Infect can spread to 4 or 8 neighbors, not ${neighbor_ct}`);
+        }
+
+        // Generate an empty grid
+        this.cells = [];
+        for (let r = 0; r < this.row_ct + 2; r++) {
+            this.cells.push(new Array(this.column_ct + 2).fill(Infinity));
+        }
+
+        let queue = [];
+        for (const [r, c] of pick_infect_seeds(this.row_ct, this.column_ct, density, seed)) {
+            this.cells[r + 1][c + 1] = 0;
+            queue.push([r, c]);
+        }
+
+        // Floodfill!  Same idea as flood_grid_steps, but this covers the outer
+        // border too
+        for (let i = 0; i < queue.length; i++) {
+            const [r, c] = queue[i];
+            const from_step = this.cells[r + 1][c + 1];
+            for (const [dr, dc] of neighborhood) {
+                const nr = r + dr;
+                const nc = c + dc;
+                if (nr < -1 || nr > this.row_ct || nc < -1 || nc > this.column_ct) {
+                    continue;
+                }
+
+                // The extra key keeps this from matching the seed rolls
+                const step = from_step + 1 + spread * 2 * seeded_random(seed, nr, nc, 1);
+                if (step < this.cells[nr + 1][nc + 1]) {
+                    this.cells[nr + 1][nc + 1] = step;
+                    queue.push([nr, nc]);
+                }
+            }
+        }
+    }
+
+    _get_max_step() {
+        // Only once the flood is done, since a cell can be reached again by a
+        // quicker route; and only on the board, since the border doesn't count
+        let max_step = 0;
+        for (let r = 0; r < this.row_ct; r++) {
+            for (let c = 0; c < this.column_ct; c++) {
+                max_step = Math.max(max_step, this.cell(r, c));
+            }
+        }
+        return max_step;
+    }
+
+    cell(r, c) {
+        return this.cells[r + 1][c + 1];
+    }
+}
+
+// "Custom" uses a step grid from somewhere else: typed in, loaded from a CSV
+// or JSON file, or painted in an image editor (see parse_step_grid).  If the
+// grid doesn't match the number of rows and columns, it's stretched to fit.
+// An empty grid just has every cell go at once.
+class CustomPattern extends PatternGenerator {
+    constructor(cell_grid, steps) {
+        super(cell_grid);
+
+        if (typeof steps === 'string') {
+            steps = parse_step_grid(steps);
+        }
+        this.steps = steps && steps.length ? steps : [[0]];
+    }
+
+    _get_max_step() {
+        let max_step = 0;
+        for (const row of this.steps) {
+            max_step = Math.max(max_step, ...row);
+        }
+        return max_step;
+    }
+
+    cell(r, c) {
+        // Nearest neighbor, based on the centers of the cells
+        const grid_rows = this.steps.length;
+        const grid_columns = this.steps[0].length;
+        const gr = Math.min(grid_rows - 1, Math.max(0, Math.floor((r + 0.5) * grid_rows / this.row_ct)));
+        const gc = Math.min(grid_columns - 1, Math.max(0, Math.floor((c + 0.5) * grid_columns / this.column_ct)));
+        return this.steps[gr][gc];
+    }
+}
+
+// "Image" takes its steps from a picture, like a logo: darker cells go first.
+// The picture is kept in the settings like any other, as a small thumbnail
+// spelled out in text: "WxH:" followed by base64 of a luminance byte and an
+// alpha byte per pixel.  That's a bit big, but it means an image survives a
+// trip through recipes, links, and workers without any special treatment.
+// Largest width or height of the thumbnail
+const PATTERN_IMAGE_SIZE = 64;
+
+// Shrink an ImageData-like object (8-bit RGBA) to a thumbnail string
+function encode_pattern_image(image, max_size = PATTERN_IMAGE_SIZE) {
+    const scale = Math.min(1, max_size / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+
+    // Average together every source pixel that lands in each thumbnail pixel
+    let sums = new Float64Array(width * height * 2);
+    let counts = new Uint32Array(width * height);
+    for (let y = 0; y < image.height; y++) {
+        const ty = Math.min(height - 1, Math.floor(y * height / image.height));
+        for (let x = 0; x < image.width; x++) {
+            const tx = Math.min(width - 1, Math.floor(x * width / image.width));
+            const i = (y * image.width + x) * 4;
+            const t = ty * width + tx;
+            // Rec. 709 luma, straight from the sRGB values; close enough
+            sums[t * 2] += 0.2126 * image.data[i] + 0.7152 * image.data[i + 1] + 0.0722 * image.data[i + 2];
+            sums[t * 2 + 1] += image.data[i + 3];
+            counts[t]++;
+        }
+    }
+
+    let binary = '';
+    for (let t = 0; t < width * height; t++) {
+        const count = Math.max(1, counts[t]);
+        binary += String.fromCharCode(Math.round(sums[t * 2] / count), Math.round(sums[t * 2 + 1] / count));
+    }
+    return `${width}x${height}:${btoa(binary)}`;
+}
+
+// Inverse of the above; returns { width, height, luma, alpha }, with each
+// channel as a Uint8Array.  Throws if it doesn't make sense
+function decode_pattern_image(text) {
+    const match = text.trim().match(/^(\d+)x(\d+):([A-Za-z0-9+/=]*)$/);
+    if (! match) {
+        throw new Error("That doesn't look like an image from the image pattern");
+    }
+    const width = parseInt(match[1], 10);
+    const height = parseInt(match[2], 10);
+    const binary = atob(match[3]);
+    if (width < 1 || height < 1 || binary.length !== width * height * 2) {
+        throw new Error(`The image is supposed to be ${width}×${height}, but has the wrong amount of data`);
+    }
+
+    let luma = new Uint8Array(width * height);
+    let alpha = new Uint8Array(width * height);
+    for (let t = 0; t < width * height; t++) {
+        luma[t] = binary.charCodeAt(t * 2);
+        alpha[t] = binary.charCodeAt(t * 2 + 1);
+    }
+    return { width, height, luma, alpha };
+}
+
+// Each cell takes the average of the part of the image it covers, from either
+// the luminance or the alpha, as a value from 0 to 1.  Then, in order: invert
+// flips it; contrast pushes it away from (or, below 1, towards) the middle;
+// gamma curves it, so above 1 more cells go early; and levels, if 2 or more,
+// rounds it to that many evenly-spaced steps.  Finally it's stretched over as
+// many steps as the longer side of the grid, so it takes about as long as a
+// wipe.
+class ImagePattern extends PatternGenerator {
+    constructor(cell_grid, image, channel, invert, contrast, gamma, levels) {
+        super(cell_grid);
+
+        if (typeof image === 'string') {
+            if (image.trim() === '') {
+                throw new Error("Load an image to use the image pattern");
+            }
+            image = decode_pattern_image(image);
+        }
+        this.image = image;
+        this.values = channel === 'alpha' ? image.alpha : image.luma;
+        if (channel !== 'alpha' && channel !== 'luminance') {
+            throw new Error(`No such image channel: ${channel}`);
+        }
+        this.invert = invert;
+        this.contrast = contrast;
+        this.gamma = Math.max(gamma, 0.01);
+        this.levels = Math.floor(levels);
+        this.span = Math.max(this.row_ct, this.column_ct);
+    }
+
+    _get_max_step() {
+        let max_step = 0;
+        for (let r = 0; r < this.row_ct; r++) {
+            for (let c = 0; c < this.column_ct; c++) {
+                max_step = Math.max(max_step, this.cell(r, c));
+            }
+        }
+        return max_step;
+    }
+
+    // Average value of the image under a cell, from 0 to 1
+    _sample(r, c) {
+        const { width, height } = this.image;
+        const [cx, cy] = this.cell_grid.center(r, c);
+        const x_scale = width / this.column_ct;
+        const y_scale = height / this.row_ct;
+        // Pixels whose centers fall within the cell; if the cells are smaller
+        // than the pixels, that might be none, so fall back to the nearest one
+        const clamp_x = x => Math.max(0, Math.min(width - 1, x));
+        const clamp_y = y => Math.max(0, Math.min(height - 1, y));
+        const x0 = clamp_x(Math.ceil((cx - 0.5) * x_scale - 0.5));
+        const x1 = clamp_x(Math.ceil((cx + 0.5) * x_scale - 0.5) - 1);
+        const y0 = clamp_y(Math.ceil((cy - 0.5) * y_scale - 0.5));
+        const y1 = clamp_y(Math.ceil((cy + 0.5) * y_scale - 0.5) - 1);
+        if (x1 < x0 || y1 < y0) {
+            return this.values[clamp_y(Math.floor(cy * y_scale)) * width + clamp_x(Math.floor(cx * x_scale))] / 255;
+        }
+
+        let sum = 0;
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                sum += this.values[y * width + x];
+            }
+        }
+        return sum / ((x1 - x0 + 1) * (y1 - y0 + 1)) / 255;
+    }
+
+    cell(r, c) {
+        let value = this._sample(r, c);
+        if (this.invert) {
+            value = 1 - value;
+        }
+        value = Math.max(0, Math.min(1, (value - 0.5) * this.contrast + 0.5));
+        value = Math.pow(value, this.gamma);
+        if (this.levels >= 2) {
+            value = Math.round(value * (this.levels - 1)) / (this.levels - 1);
+        }
+        return value * this.span;
+    }
+}
+
+// Hex versions of some of the patterns, for a HexGrid (or a BrickGrid, which
+// connects up the same way).  These only work for cells on the board.
+// Walking straight down a hex grid takes one step per row, even when the rows
+// zigzag, so the row and column wipes are the same as on a square grid.
+// Diagonals, though, run along one of the hex axes, at 60° rather than 45°
+class HexDiagonalPattern extends PatternGenerator {
+    _get_max_step() {
+        return this.cell(this.row_ct - 1, this.column_ct - 1);
+    }
+    cell(r, c) {
+        const [q, l] = this.cell_grid.axial(r, c);
+        return q + l;
+    }
+}
+
+// Base class for hex patterns that work by flooding outwards from some cells
+class HexFloodPattern extends PatternGenerator {
+    constructor(cell_grid, sources, cost) {
+        super(cell_grid);
+        this.cells = flood_grid_steps(cell_grid, sources, cost);
+    }
+    _get_max_step() {
+        let max_step = 0;
+        for (const row of this.cells) {
+            max_step = Math.max(max_step, ...row);
+        }
+        return max_step;
+    }
+    cell(r, c) {
+        return this.cells[r][c];
+    }
+}
+class HexDiamondPattern extends HexFloodPattern {
+    constructor(cell_grid) {
+        const r = cell_grid.row_ct - 1;
+        const c = cell_grid.column_ct - 1;
+        super(cell_grid, [[0, 0], [0, c], [r, 0], [r, c]]);
+    }
+}
+class HexBoxPattern extends HexFloodPattern {
+    constructor(cell_grid) {
+        let edges = [];
+        for (let r = 0; r < cell_grid.row_ct; r++) {
+            edges.push([r, 0], [r, cell_grid.column_ct - 1]);
+        }
+        for (let c = 0; c < cell_grid.column_ct; c++) {
+            edges.push([0, c], [cell_grid.row_ct - 1, c]);
+        }
+        super(cell_grid, edges);
+    }
+}
+// Hexes always have six neighbors, so the neighbor count doesn't apply here
+class HexInfectPattern extends HexFloodPattern {
+    constructor(cell_grid, seed, density = 1/32, neighbor_ct, spread = 0) {
+        super(cell_grid, pick_infect_seeds(cell_grid.row_ct, cell_grid.column_ct, density, seed),
+            (r, c) => 1 + spread * 2 * seeded_random(seed, r, c, 1));
+    }
+}
+
+// The spiral is all trig anyway, so it only needs to know where the hexes are
+class HexSpiralPattern extends SpiralPattern {
+    _get_max_step() {
+        // The corner math doesn't hold up once the rows are offset, so just
+        // check every cell
+        let max_step = 0;
+        for (let r = 0; r < this.row_ct; r++) {
+            for (let c = 0; c < this.column_ct; c++) {
+                max_step = Math.max(max_step, this.cell(r, c));
+            }
+        }
+        return max_step;
+    }
+
+    cell(r, c) {
+        const [cx, cy] = this.cell_grid.center(r, c);
+        const x = cx - this.column_ct / 2;
+        const y = cy - this.row_ct / 2;
+        const d = Math.sqrt(x*x + y*y) / this.spiral_width;
+        return this._calc(d, Math.atan2(-y, x));
+    }
+}
+
+// Wrappers that can apply to any type of generator.  Steps aren't always whole
+// numbers -- plenty of patterns measure distances or angles -- so these have
+// to cope with fractions too
+class PatternWrapper extends PatternGenerator {
+    constructor(pattern) {
+        super(pattern.cell_grid);
+        this.wrapped = pattern;
+    }
+    _get_max_step() {
+        return this.wrapped.max_step;
+    }
+}
+class PatternInterlaced extends PatternWrapper {
+    constructor(pattern, stride) {
+        super(pattern);
+        this.stride = stride;
+        // Interlacing shuffles whole steps around, so any fractions are
+        // dropped, and there are this many steps to shuffle
+        this.step_ct = Math.floor(this.wrapped.max_step) + 1;
+    }
+    _get_max_step() {
+        return this.step_ct - 1;
+    }
+    cell(r, c) {
+        const step = Math.floor(this.wrapped.cell(r, c));
+        const stride = this.stride;
+        return (
+            // Division clusters them together, so the first steps are the
+            // first items from each cluster
+            Math.floor(step / stride)
+            // Each item in a cluster is offset by the total number of steps it
+            // takes to run through each cluster once
+            + Math.floor(this.step_ct / stride) * (step % stride)
+            // If the span doesn't evenly divide into clusters, then the last
+            // cluster is shorter than the others, so it'll be skipped on later
+            // runs; or in other words, earlier runs have a longer stride
+            + Math.min(step % stride, this.step_ct % stride)
+        );
+    }
+}
+class PatternReversed extends PatternWrapper {
+    cell(r, c) {
+        return this.max_step - this.wrapped.cell(r, c);
+    }
+}
+class PatternMirrored extends PatternWrapper {
+    cell(r, c) {
+        return this.wrapped.cell(r, this.column_ct - c - 1);
+    }
+}
+class PatternFlipped extends PatternWrapper {
+    cell(r, c) {
+        return this.wrapped.cell(this.row_ct - r - 1, c);
+    }
+}
+class PatternReflected extends PatternWrapper {
+    _get_max_step() {
+        // Where the steps fold over depends on which steps there are, so just
+        // check every cell
+        let max_step = 0;
+        for (let r = 0; r < this.row_ct; r++) {
+            for (let c = 0; c < this.column_ct; c++) {
+                max_step = Math.max(max_step, this.cell(r, c));
+            }
+        }
+        return max_step;
+    }
+    cell(r, c) {
+        // Same as reflect(), but without assuming whole steps
+        const step = this.wrapped.cell(r, c);
+        return Math.min(step, this.wrapped.max_step - step);
+    }
+}
+
+
+
+
+// Note that some of the patterns as exposed in the UI map to several pattern
+// generator types, depending on other settings.  This maps UI patterns to the
+// controls they rely on, and how those controls affect the choice and
+// configuration of generator.  Every generator takes the cell grid, followed
+// by the extra_args.  Patterns with a hex_generator, which has the same shape,
+// use that instead on a hex grid (or bricks, which connect the same way).
+// Anything else runs as-is on a hex grid, treating the rows and columns as
+// though they were square.
+const PATTERN_GENERATORS = {
+    // "Wipe" is a straight wipe across in one of the four cardinal directions,
+    // or at any angle at all
+    wipe: {
+        extra_controls: ['direction'],
+        extra_args: ['droop', 'seed', 'angle'],
+        generator: {
+            row: RowPattern,
+            column: ColumnPattern,
+            diagonal: DiagonalPattern,
+            angle: LinearWipePattern,
+        },
+        hex_generator: {
+            row: RowPattern,
+            column: ColumnPattern,
+            diagonal: HexDiagonalPattern,
+            angle: LinearWipePattern,
+        },
+    },
+    // "Curtain" expands from two adjacent corners in one of the four cardinal
+    // directions; if downwards, it looks like stage curtains closing
+    curtain: {
+        extra_controls: ['direction'],
+        extra_args: ['angle'],
+        generator: {
+            row: RowCurtainPattern,
+            column: ColumnCurtainPattern,
+            diagonal: DiagonalCurtainPattern,
+            angle: LinearCurtainPattern,
+        },
+    },
+    // "Shutter" closes from two opposite corners or sides
+    shutter: {
+        extra_controls: ['direction'],
+        extra_args: ['angle'],
+        generator: {
+            row: RowShutterPattern,
+            column: ColumnShutterPattern,
+            diagonal: MainDiagonalShutterPattern,
+            // There is no off-diagonal pattern, since you can just mirror/flip
+            // the diagonal one
+            angle: LinearShutterPattern,
+        },
+    },
+    // "Diamond" closes from all four corners at once
+    diamond: {
+        generator: DiamondPattern,
+        hex_generator: HexDiamondPattern,
+    },
+    // "Box" closes from all four edges at once
+    box: {
+        generator: BoxPattern,
+        hex_generator: HexBoxPattern,
+    },
+    // "Spiral" is a cool spiral from the center
+    spiral: {
+        generator: SpiralPattern,
+        hex_generator: HexSpiralPattern,
+        extra_args: ['fill-delay', 'loops', 'arms', 'angle'],
+    },
+    // "Random" is, well, random
+    random: {
+        generator: RandomPattern,
+        extra_args: ['seed', 'step-range'],
+    },
+    // "Infect" starts like random, but the cells grow outwards from their
+    // starting places
+    infect: {
+        generator: InfectPattern,
+        hex_generator: HexInfectPattern,
+        extra_args: ['seed', 'density', 'neighbors', 'spread'],
+    },
+    // "Custom" is whatever you want it to be
+    custom: {
+        generator: CustomPattern,
+        extra_args: ['custom-steps'],
+    },
+    // "Noise" spreads in organic blobs, optionally drifting in one direction
+    noise: {
+        generator: NoisePattern,
+        extra_args: ['noise-scale', 'octaves', 'bias', 'angle', 'seed'],
+    },
+    // "Image" follows the light and dark of a picture
+    image: {
+        generator: ImagePattern,
+        extra_args: ['pattern-image', 'image-channel', 'image-invert', 'image-contrast', 'image-gamma', 'image-levels'],
+    },
+    // "Iris" opens in a circle from one or more points
+    iris: {
+        generator: IrisPattern,
+        extra_args: ['foci', 'ellipse'],
+    },
+    // "Voronoi" grows regions from several seeds at once
+    voronoi: {
+        generator: VoronoiPattern,
+        extra_args: ['seed-count', 'foci', 'seed-delay', 'metric', 'seed'],
+    },
+    // "Clock" sweeps around a point, like the hands of a clock
+    clock: {
+        generator: ClockPattern,
+        extra_args: ['angle', 'counterclockwise', 'arms', 'falloff', 'center-x', 'center-y'],
+    },
+    // "Pinch" closes from two opposite sides like a shutter, but the fronts
+    // are pointed, like > <
+    pinch: {
+        extra_controls: ['direction'],
+        extra_args: ['angle'],
+        generator: {
+            row: RowPinchPattern,
+            column: ColumnPinchPattern,
+            diagonal: DiagonalPinchPattern,
+            angle: LinearPinchPattern,
+        },
+    },
+    // "Slide" brings in bands of rows (or columns) from opposite sides,
+    // alternating
+    slide: {
+        extra_controls: ['direction'],
+        extra_args: ['band-size', 'angle'],
+        generator: {
+            row: RowSlidePattern,
+            column: ColumnSlidePattern,
+            diagonal: DiagonalSlidePattern,
+            angle: LinearSlidePattern,
+        },
+    },
+    // TODO random splatters?  not really grid-based at all huh
+    // TODO shapes sliding across?  also not really grid-based
+}
+
+function generate_cell_pattern(rows, cols, pattern_generator) {
+    let pattern = [];
+    let step_ct = 0;
+    for (let r = 0; r < rows; r++) {
+        pattern.push(new Array(cols));
+        for (let c = 0; c < cols; c++) {
+            let step = pattern_generator(r, c, rows, cols);
+            pattern[r][c] = step;
+        }
+        step_ct = Math.max(step_ct, ...pattern[r]);
+    }
+
+    return [pattern, step_ct];
+}
+
+// EASING ----------------------------------------------------------------------
+// An easing curve changes how the wipe moves over time, by mapping the playback
+// time (from 0 to 1) to how far along the mask we are (also 0 to 1).  They're
+// written the same way as CSS timing functions: a name like "ease-in", or
+// "cubic-bezier(x1, y1, x2, y2)", or "steps(n)".
+
+// The named ones are all cubic Béziers, with the same control points as CSS
+const EASING_PRESETS = {
+    'linear': [0, 0, 1, 1],
+    'ease': [0.25, 0.1, 0.25, 1],
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1],
+};
+
+// Returns a function for a cubic Bézier running from (0, 0) to (1, 1), with the
+// given control points in between.  x is time, so x1 and x2 are clamped to 0–1
+function cubic_bezier(x1, y1, x2, y2) {
+    x1 = Math.max(0, Math.min(1, x1));
+    x2 = Math.max(0, Math.min(1, x2));
+    const curve = (s, a, b) => 3 * a * s * (1 - s) * (1 - s) + 3 * b * s * s * (1 - s) + s * s * s;
+    return t => {
+        if (t <= 0 || t >= 1) {
+            return t;
+        }
+        // x always increases with s, so bisect for the s that gives our t
+        let lo = 0;
+        let hi = 1;
+        for (let i = 0; i < 32; i++) {
+            const mid = (lo + hi) / 2;
+            if (curve(mid, x1, x2) < t) {
+                lo = mid;
+            }
+            else {
+                hi = mid;
+            }
+        }
+        return curve((lo + hi) / 2, y1, y2);
+    };
+}
+
+// Parse an easing, as described above, and return it as a function.  Throws if
+// it doesn't make sense
+function parse_easing(text) {
+    text = (text || 'linear').trim().toLowerCase();
+    if (text === 'linear') {
+        let easing = t => t;
+        easing.inverse = value => value;
+        return easing;
+    }
+    if (EASING_PRESETS[text]) {
+        return cubic_bezier(...EASING_PRESETS[text]);
+    }
+
+    let match = text.match(/^cubic-bezier\((.*)\)$/);
+    if (match) {
+        const numbers = match[1].split(',').map(Number);
+        if (numbers.length !== 4 || ! numbers.every(n => isFinite(n))) {
+            throw new Error(`A cubic Bézier needs four numbers, like cubic-bezier(0.25, 0.1, 0.25, 1), not "${text}"`);
+        }
+        return cubic_bezier(...numbers);
+    }
+
+    match = text.match(/^steps\(\s*(\d+)\s*\)$/);
+    if (match) {
+        const step_ct = parseInt(match[1], 10);
+        if (step_ct < 1) {
+            throw new Error("Steps needs at least one step");
+        }
+        // Like CSS's default, jump at the end of each step, so the wipe only
+        // finishes at the very end
+        let easing = t => t >= 1 ? 1 : Math.max(0, Math.floor(t * step_ct) / step_ct);
+        // Sampling would smear the jumps, so do this one exactly
+        easing.inverse = value => Math.max(0, Math.min(1, Math.ceil(value * step_ct) / step_ct));
+        return easing;
+    }
+
+    throw new Error(`Don't know the easing "${text}"`);
+}
+
+// How finely invert_easing samples the curve
+const EASING_TABLE_SIZE = 1024;
+
+// Returns the inverse of an easing: given how far along the mask we are, when
+// do we get there?  Curves that overshoot and come back get there the first
+// time they pass by.  parse_easing attaches an exact inverse where it can;
+// otherwise this samples the curve
+function invert_easing(easing) {
+    if (easing.inverse) {
+        return easing.inverse;
+    }
+
+    let table = new Float64Array(EASING_TABLE_SIZE + 1);
+    let highest = 0;
+    for (let i = 0; i <= EASING_TABLE_SIZE; i++) {
+        highest = Math.max(highest, easing(i / EASING_TABLE_SIZE));
+        table[i] = highest;
+    }
+
+    return value => {
+        if (value <= table[0]) {
+            return 0;
+        }
+        // Find the first sample at or past the value...
+        let lo = 0;
+        let hi = EASING_TABLE_SIZE;
+        if (value > table[hi]) {
+            return 1;
+        }
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (table[mid] < value) {
+                lo = mid;
+            }
+            else {
+                hi = mid;
+            }
+        }
+        // ...then interpolate between it and the one before
+        const span = table[hi] - table[lo];
+        const fraction = span > 0 ? (value - table[lo]) / span : 1;
+        return (lo + fraction) / EASING_TABLE_SIZE;
+    };
+}
+
+// STEP GRIDS ------------------------------------------------------------------
+// A step grid is the cell pattern spelled out, as an array of rows, each an
+// array of steps.  They can be saved from any generator, and loaded back into a
+// CustomPattern.
+
+// Parse a step grid from text, either a JSON array of arrays or CSV.  The CSV
+// can use commas, semicolons, or tabs (which is what you get pasting from a
+// spreadsheet), and blank lines are ignored.  Throws if it doesn't make sense.
+function parse_step_grid(text) {
+    let grid;
+    if (text.trim().startsWith('[')) {
+        grid = JSON.parse(text);
+        if (! Array.isArray(grid) || ! grid.every(row => Array.isArray(row))) {
+            throw new Error("A JSON step grid should be an array of arrays");
+        }
+    }
+    else {
+        grid = [];
+        for (const line of text.split(/\r?\n/)) {
+            if (line.trim() === '') {
+                continue;
+            }
+            grid.push(line.split(/[,;\t]/).map(value => value.trim() === '' ? NaN : Number(value)));
+        }
+    }
+
+    for (const [r, row] of grid.entries()) {
+        if (row.length !== grid[0].length) {
+            throw new Error(`Row ${r + 1} of the step grid has ${row.length} cells, but row 1 has ${grid[0].length}`);
+        }
+        for (const [c, step] of row.entries()) {
+            if (typeof step !== 'number' || ! isFinite(step)) {
+                throw new Error(`Cell ${c + 1} in row ${r + 1} of the step grid isn't a number`);
+            }
+        }
+    }
+    if (grid.length && ! grid[0].length) {
+        throw new Error("The step grid's rows are empty");
+    }
+    return grid;
+}
+
+// Read a step grid from an image (ImageData or something shaped like it), one
+// pixel per cell, where the brightness is the step: black goes first, and
+// white goes on step 255.  Color is averaged out, and alpha ignored.
+function step_grid_from_image(image) {
+    let grid = [];
+    for (let y = 0; y < image.height; y++) {
+        let row = [];
+        for (let x = 0; x < image.width; x++) {
+            const i = (y * image.width + x) * 4;
+            row.push(Math.round((image.data[i] + image.data[i + 1] + image.data[i + 2]) / 3));
+        }
+        grid.push(row);
+    }
+    return grid;
+}
+
+// Spell out what a generator (wrapped or not) does for every cell
+function step_grid_from_generator(generator, row_ct, column_ct) {
+    let grid = [];
+    for (let r = 0; r < row_ct; r++) {
+        let row = [];
+        for (let c = 0; c < column_ct; c++) {
+            // Round away floating point noise like 0.30000000000000004
+            row.push(Math.round(generator.cell(r, c) * 1e6) / 1e6);
+        }
+        grid.push(row);
+    }
+    return grid;
+}
+
+function step_grid_to_csv(grid) {
+    return grid.map(row => row.join(',')).join('\n') + '\n';
+}
+
+// One row per line, so it's still readable
+function step_grid_to_json(grid) {
+    return '[\n' + grid.map(row => '    ' + JSON.stringify(row)).join(',\n') + '\n]\n';
+}
+
+// Inverse of step_grid_from_image.  If every step is a whole number from 0 to
+// 255, they're used as-is, so the image loads back in exactly; otherwise
+// they're stretched to fill that range, which loses a bit of detail.
+function step_grid_to_image(grid) {
+    const height = grid.length;
+    const width = height ? grid[0].length : 0;
+    let min_step = Infinity;
+    let max_step = -Infinity;
+    for (const row of grid) {
+        min_step = Math.min(min_step, ...row);
+        max_step = Math.max(max_step, ...row);
+    }
+
+    let to_gray = step => step;
+    if (! grid.every(row => row.every(step => Number.isInteger(step) && step >= 0 && step <= 255))) {
+        const span = max_step - min_step || 1;
+        to_gray = step => Math.round((step - min_step) / span * 255);
+    }
+
+    let data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const gray = to_gray(grid[y][x]);
+            data[i + 0] = gray;
+            data[i + 1] = gray;
+            data[i + 2] = gray;
+            data[i + 3] = 255;
+        }
+    }
+    return { width: width, height: height, data: data };
+}
+
+// Build a pattern generator, wrappers and all, from a bag of settings keyed
+// the same way as GeneratorView.settings
+function build_pattern_generator(settings) {
+    const pattern_type = settings.pattern;
+    const generator_def = PATTERN_GENERATORS[pattern_type];
+    if (! generator_def) {
+        throw new Error(`No such pattern: ${pattern_type}`);
+    }
+    const grid = build_cell_grid(settings);
+    let generator_tree = generator_def.generator;
+    if (grid instanceof HexGrid && generator_def.hex_generator) {
+        generator_tree = generator_def.hex_generator;
+    }
+
+    for (const key of generator_def.extra_controls || []) {
+        const value = settings[key];
+        generator_tree = generator_tree[value];
+        if (! generator_tree) {
+            throw new Error(`Can't find a generator for ${key} = ${value}`);
+        }
+    }
+
+    let extra_args = [];
+    for (const key of generator_def.extra_args || []) {
+        const value = settings[key];
+        extra_args.push(value);
+    }
+
+    let generator = new generator_tree(grid, ...extra_args);
+
+    // Apply wrappers, if appropriate
+    // TODO when does interlace apply?
+    if (settings.interlace > 1) {
+        generator = new PatternInterlaced(generator, settings.interlace);
+    }
+    // Note that reflect must happen before reverse, or the steps will be symmetrical and reverse will be lost
+    if (settings.reflect) {
+        generator = new PatternReflected(generator);
+    }
+    if (settings.reverse) {
+        generator = new PatternReversed(generator);
+    }
+    if (settings.mirror) {
+        generator = new PatternMirrored(generator);
+    }
+    if (settings.flip) {
+        generator = new PatternFlipped(generator);
+    }
+
+    return generator;
+}
+
+// Raycast from a point on the edge of an image towards its center, and return
+// the distance travelled, as a fraction of the distance between the entry
+// point and the center.
+function raycast_to_opaque_pixel(entry_x, entry_y, width, height, pixeldata) {
+    "use strict";
+    let x0 = entry_x;
+    let y0 = entry_y;
+    let x1 = width / 2;
+    let y1 = height / 2;
+
+    let dx = x1 - x0;
+    let dy = y1 - y0;
+
+    let a = Math.floor(x0)
+    let b = Math.floor(y0)
+
+    if (dx === 0 && dy === 0) {
+        // Special case: this is a single pixel
+        return [a, b];
+    }
+
+    // Use a modified Bresenham.  Use mirroring to move everything into the
+    // first quadrant, then split it into two octants depending on whether dx
+    // or dy increases faster, and call that the main axis.  Track an "error"
+    // value, which is the (negative) distance between the ray and the next
+    // grid line parallel to the main axis, but scaled up by dx.  Every
+    // iteration, we move one cell along the main axis and increase the error
+    // value by dy (the ray's slope, scaled up by dx); when it becomes
+    // positive, we can subtract dx (1) and move one cell along the minor axis
+    // as well.  Since the main axis is the faster one, we'll never traverse
+    // more than one cell on the minor axis for one cell on the main axis, and
+    // this readily provides every cell the ray hits in order.
+    // Based on: http://www.idav.ucdavis.edu/education/GraphicsNotes/Bresenhams-Algorithm/Bresenhams-Algorithm.html
+
+    // Setup: map to the first quadrant.  The "offsets" are the distance
+    // between the starting point and the next grid point.
+    let step_a = 1;
+    let offset_x = 1 - (x0 - a);
+    if (dx < 0) {
+        dx = -dx;
+        step_a = -step_a;
+        offset_x = 1 - offset_x;
+    }
+    // Zero offset means we're on a grid line, so we're actually a full cell
+    // away from the next grid line
+    if (offset_x === 0) {
+        offset_x = 1;
+    }
+
+    let step_b = 1;
+    let offset_y = 1 - (y0 - b);
+    if (dy < 0) {
+        dy = -dy;
+        step_b = -step_b;
+        offset_y = 1 - offset_y;
+    }
+    if (offset_y === 0) {
+        offset_y = 1;
+    }
+
+    let err = dy * offset_x - dx * offset_y;
+
+    let min_x = Math.floor(Math.min(x0, x1));
+    let max_x = Math.floor(Math.max(x0, x1));
+    let min_y = Math.floor(Math.min(y0, y1));
+    let max_y = Math.floor(Math.max(y0, y1));
+
+    // Shared code to check whether the current (a, b) pair is opaque, ish
+    function is_opaque() {
+        // If the image is N pixels wide and the entry point is on its right
+        // edge, then we start from pixel N, which is actually outside the
+        // image!  So, skip that.
+        if (a >= width || b >= height)
+            return false;
+
+        const alpha = pixeldata[(a + b * width) * 4 + 3];
+        // FIXME should interpolate cleverly using the alpha and the distance from the line and etc
+        return (alpha >= 128);
+    }
+
+    if (dx > dy) {
+        // Main axis is x/a
+        while (min_x <= a && a <= max_x && min_y <= b && b <= max_y) {
+            if (is_opaque())
+                break;
+
+            if (err > 0) {
+                err -= dx;
+                b += step_b;
+                if (is_opaque())
+                    break;
+            }
+            err += dy;
+            a += step_a;
+        }
+    }
+    else {
+        err = -err;
+        // Main axis is y/b
+        while (min_x <= a && a <= max_x && min_y <= b && b <= max_y) {
+            if (is_opaque())
+                break;
+
+            if (err > 0) {
+                err -= dy;
+                a += step_a;
+                if (is_opaque())
+                    break;
+            }
+            err += dx;
+            b += step_b;
+        }
+    }
+
+    // Return how far along the ray we got, relative to the distance to the
+    // center.  (Dividing first saves us a square root.)
+    const dist_to_entry2 = dx * dx + dy * dy;
+    const dist_to_hit2 = Math.pow((a + 0.5) - x1, 2) + Math.pow((b + 0.5) - y1, 2);
+    return Math.sqrt(dist_to_entry2 / dist_to_hit2);
+}
+
+// Work out, for every pixel in a block of cells (3×3 for a square grid), how big
+// the particle has to grow from the center of the block before it touches that
+// pixel.  Returns the scales as a flat array, plus the largest scale needed to
+// cover the middle cell, which is what counts as the particle "filling" its
+// cell.  The grid defaults to square, and is only used for the size and shape
+// of a cell.
+// If given, on_progress is called after every row with the fraction done.
+function build_particle_stamp(particle, column_width, row_height, on_progress, grid) {
+    "use strict";
+    const particle_width = particle.width;
+    const particle_height = particle.height;
+    if (! grid) {
+        grid = new SquareGrid(1, 1);
+    }
+    const span = grid.stamp_span;
+
+    // FIXME show the stamp!!
+    // FIXME it would be cool to see this somewhere?
+    const stamp_width = column_width * span;
+    const stamp_height = row_height * span;
+    let scales = new Float32Array(stamp_width * stamp_height);
+    let max_scale = 0;
+    // Center of the stamp
+    const mid_x = stamp_width / 2;
+    const mid_y = stamp_height / 2;
+    // Center of the particle
+    const pcx = particle_width / 2;
+    const pcy = particle_height / 2;
+
+    let i = 0;
+    for (let py = 0; py < stamp_height; py++) {
+        for (let px = 0; px < stamp_width; px++, i++) {
+            // Consider the pixel as having been hit when its center is touched
+            const dx = (px + 0.5) - mid_x;
+            const dy = (py + 0.5) - mid_y;
+            // This is how big the particle would have to be to hit it
+            const size_x = Math.abs(dx * 2);
+            const size_y = Math.abs(dy * 2);
+            // This is the relative size of the particle at that point
+            // outer edge to touch the center of this pixel
+            const scale = Math.max(size_x / particle_width, size_y / particle_height);
+
+            if (scale === 0) {
+                // Special case: this is the exact center of the box, so it's the
+                // very first pixel to light.  This math will explode since the
+                // distance is zero, but we can call this a scale of zero and
+                // continue on.
+                scales[i] = 0;
+                continue;
+            }
+
+            // Now find the point at which the expanding particle would touch
+            const ix = pcx + dx / scale;
+            const iy = pcy + dy / scale;
+            // And figure out how far into the particle that is
+            let hit_scale = raycast_to_opaque_pixel(ix, iy, particle_width, particle_height, particle.data);
+            // Thus, this is the minimum scale of the particle for it to reach us
+            const necessary_scale = scale * hit_scale;
+            scales[i] = necessary_scale;
+
+            if (grid.in_home_cell(dx / column_width, dy / row_height)) {
+                max_scale = Math.max(max_scale, necessary_scale);
+            }
+        }
+
+        if (on_progress) {
+            on_progress((py + 1) / stamp_height);
+        }
+    }
+
+    return {
+        width: stamp_width,
+        height: stamp_height,
+        scales: scales,
+        max_scale: max_scale,
+    };
+}
+
+// Fill the mask image with the time each pixel is revealed, packed into the
+// red, green, and blue channels as a single 24-bit value.  This can take a
+// while, so if given, on_progress is called regularly with the fraction done.
+// If an easing is given (as text, for parse_easing), it's baked into the mask,
+// so playing it back linearly moves as though eased.
+// Returns some stats about the mask; see pack_mask_times.
+// FIXME hey, if they only change the pattern/delay but not the stamp, there's no need to regenerate it...
+function generate_particle_wipe_mask(particle, mask, row_ct, column_ct, delay, generator, on_progress, easing) {
+    "use strict";
+    const width = mask.width;
+    const height = mask.height;
+    const column_width = Math.ceil(width / column_ct);
+    const row_height = Math.ceil(height / row_ct);
+
+    const grid = generator.cell_grid;
+    const span = grid.stamp_span;
+
+    // Split the progress between the two halves of the work, assuming each
+    // pixel takes about as long as each stamp pixel (it's close enough)
+    const stamp_area = span * span * column_width * row_height;
+    const stamp_share = stamp_area / (stamp_area + width * height);
+    let stamp_progress = null;
+    if (on_progress) {
+        stamp_progress = fraction => on_progress(fraction * stamp_share);
+    }
+
+    const stamp = build_particle_stamp(particle, column_width, row_height, stamp_progress, grid);
+    const box_scales = stamp.scales;
+    const max_scale = stamp.max_scale;
+
+    // Every pixel checks the particles in its own cell and all the nearby
+    // ones, so work out where those are ahead of time.  For each cell, this
+    // is a flat list of x, y (in pixels), and step.
+    // FIXME keep looking further until we find a cell whose step is adjacent to ours?
+    let actual_max_step = -Infinity;
+    let actual_min_step = Infinity;
+    let cell_steps = [];
+    let cell_sources = [];
+    for (let row = 0; row < row_ct; row++) {
+        for (let col = 0; col < column_ct; col++) {
+            const step = generator.cell(row, col);
+            actual_max_step = Math.max(actual_max_step, step);
+            actual_min_step = Math.min(actual_min_step, step);
+            cell_steps.push(step);
+
+            let sources = [];
+            for (const [srow, scol] of [[row, col], ...grid.nearby(row, col)]) {
+                const [cx, cy] = grid.center(srow, scol);
+                sources.push(cx * column_width, cy * row_height, generator.cell(srow, scol));
+            }
+            cell_sources.push(sources);
+        }
+    }
+
+    // Work out when each pixel is revealed, as a multiple of how long a
+    // single particle takes to fill its cell.  The times are stashed in the
+    // mask's own buffer, since one float is exactly the size of one pixel
+    let times = mask_times_view(mask);
+
+    // FIXME i realize, all of a sudden, that in cases like squares, you likely
+    // don't WANT them to keep growing outside their box.  hmm
+    // FIXME i think this would be a bit speedier if it worked a cell at a time?
+    let i = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // Consider the pixel's center, as the stamp does
+            const px = x + 0.5;
+            const py = y + 0.5;
+            const [row, col] = grid.cell_at(px / column_width, py / row_height);
+            const cell_index = row * column_ct + col;
+            const step = cell_steps[cell_index];
+            const sources = cell_sources[cell_index];
+
+            let scale = Infinity;
+            for (let j = 0; j < sources.length; j += 3) {
+                // Find where this pixel is relative to that particle's center,
+                // then look up how far the particle has to grow to get there.
+                // Off the edge of the stamp is much too far away to matter, so
+                // it's fine to just use the edge
+                const sx = Math.max(0, Math.min(stamp.width - 1, Math.floor(stamp.width / 2 + px - sources[j])));
+                const sy = Math.max(0, Math.min(stamp.height - 1, Math.floor(stamp.height / 2 + py - sources[j + 1])));
+                let candidate = box_scales[sy * stamp.width + sx];
+                candidate += (sources[j + 2] - step) * delay * max_scale;
+                scale = Math.min(scale, candidate);
+            }
+            times[i] = step * delay + scale / max_scale;
+            i++;
+        }
+
+        if (on_progress) {
+            on_progress(stamp_share + (1 - stamp_share) * (y + 1) / height);
+        }
+    }
+
+    return pack_mask_times(mask, {
+        claimed_max_step: generator.max_step,
+        min_step: actual_min_step,
+        max_step: actual_max_step,
+        delay: delay,
+    }, easing);
+}
+
+// Returns a Float32Array sharing the mask's pixel buffer, one float per pixel
+function mask_times_view(mask) {
+    return new Float32Array(mask.data.buffer, mask.data.byteOffset, mask.width * mask.height);
+}
+
+// Convert a mask full of times (as written to mask_times_view) into actual
+// pixels, by dividing by the longest time and packing the result into 24 bits.
+// If given an easing, it's baked in along the way.  Returns the stats, plus:
+//   min_time, max_time: the earliest and latest times any pixel appeared
+//   estimated_time: the old guess at max_time, which assumes the last cell to
+//       start takes a full step to fill, when really its neighbors help out
+function pack_mask_times(mask, stats, easing) {
+    const times = mask_times_view(mask);
+    // A pixel that's eased to appear at some point along the mask appears
+    // at the time the easing gets there, so bake in the inverse
+    const bake = easing ? invert_easing(parse_easing(easing)) : null;
+    let min_time = Infinity;
+    let max_time = 0;
+    for (let i = 0; i < times.length; i++) {
+        min_time = Math.min(min_time, times[i]);
+        max_time = Math.max(max_time, times[i]);
+    }
+    // Not likely, but avoid dividing by zero
+    const total_time = max_time > 0 ? max_time : 1;
+    // Keep the last pixel at 0xffffff, rather than overflowing
+    const max_value = 1 - 1 / 0x1000000;
+
+    let pixels = mask.data;
+    for (let i = 0; i < times.length; i++) {
+        // Careful: this overwrites times[i], so read it first!
+        let value = times[i] / total_time;
+        if (bake) {
+            value = bake(value);
+        }
+        value = Math.max(0, Math.min(max_value, value));
+        const p = i * 4;
+        value *= 256;
+        pixels[p + 0] = Math.floor(value);
+        value = (value % 1) * 256;
+        pixels[p + 1] = Math.floor(value);
+        value = (value % 1) * 256;
+        pixels[p + 2] = Math.floor(value);
+        pixels[p + 3] = 255;
+    }
+
+    return Object.assign({
+        min_time: min_time,
+        max_time: max_time,
+        estimated_time: stats.claimed_max_step * stats.delay + 1,
+    }, stats);
+}
+
+// Read the 24-bit values back out of a mask, as a Float32Array of one value per
+// pixel, from 0 to 1
+function unpack_mask_values(mask) {
+    let values = new Float32Array(mask.width * mask.height);
+    for (let i = 0, p = 0; i < values.length; i++, p += 4) {
+        values[i] = ((mask.data[p] << 16) | (mask.data[p + 1] << 8) | mask.data[p + 2]) / 0xffffff;
+    }
+    return values;
+}
+
+// Convert a mask to a grayscale image for encode_png, at 8 or 16 bits
+function mask_to_grayscale(mask, bit_depth) {
+    const max = (1 << bit_depth) - 1;
+    const values = unpack_mask_values(mask);
+    let data = bit_depth === 16 ? new Uint16Array(values.length) : new Uint8Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        data[i] = Math.round(values[i] * max);
+    }
+    return { width: mask.width, height: mask.height, data: data };
+}
+
+// Ways to save a mask besides packed into RGB, for engines that want something
+// more conventional.  Each turns a mask into either an image for encode_png
+// (with the given options) or raw bytes
+const MASK_EXPORT_FORMATS = {
+    // 8 bits loses the extra precision, the same as reading only the red
+    // channel, but rounds rather than truncating
+    gray8: {
+        png: { color: 'gray', bit_depth: 8 },
+        convert: mask => mask_to_grayscale(mask, 8),
+    },
+    gray16: {
+        png: { color: 'gray', bit_depth: 16 },
+        convert: mask => mask_to_grayscale(mask, 16),
+    },
+    // Headerless little-endian floats from 0 to 1, row by row from the top
+    float32: {
+        png: null,
+        convert: mask => {
+            const values = unpack_mask_values(mask);
+            let bytes = new Uint8Array(values.length * 4);
+            let view = new DataView(bytes.buffer);
+            for (let i = 0; i < values.length; i++) {
+                view.setFloat32(i * 4, values[i], true);
+            }
+            return bytes;
+        },
+    },
+};
+
+// Compare two masks of the same size, and return the biggest difference
+// between them, as a fraction of the full 24-bit range
+function compare_masks(a, b) {
+    if (a.width !== b.width || a.height !== b.height) {
+        throw new Error("Can't compare masks of different sizes");
+    }
+
+    let max_difference = 0;
+    for (let i = 0; i < a.data.length; i += 4) {
+        const value_a = (a.data[i] << 16) | (a.data[i + 1] << 8) | a.data[i + 2];
+        const value_b = (b.data[i] << 16) | (b.data[i + 1] << 8) | b.data[i + 2];
+        max_difference = Math.max(max_difference, Math.abs(value_a - value_b));
+    }
+    return max_difference / 0x1000000;
+}
+
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        tau,
+        range,
+        seeded_random,
+        random_seed,
+        SquareGrid,
+        HexGrid,
+        BrickGrid,
+        GRID_LAYOUTS,
+        build_cell_grid,
+        flood_grid_steps,
+        PatternGenerator,
+        RowPattern,
+        ColumnPattern,
+        DiagonalPattern,
+        LinearPattern,
+        LinearWipePattern,
+        LinearCurtainPattern,
+        LinearShutterPattern,
+        LinearPinchPattern,
+        LinearSlidePattern,
+        RowCurtainPattern,
+        ColumnCurtainPattern,
+        DiagonalCurtainPattern,
+        RowShutterPattern,
+        ColumnShutterPattern,
+        MainDiagonalShutterPattern,
+        RowPinchPattern,
+        ColumnPinchPattern,
+        DiagonalPinchPattern,
+        RowSlidePattern,
+        ColumnSlidePattern,
+        DiagonalSlidePattern,
+        DiamondPattern,
+        BoxPattern,
+        SpiralPattern,
+        ClockPattern,
+        gradient_noise,
+        NoisePattern,
+        parse_points,
+        format_points,
+        IrisPattern,
+        DISTANCE_METRICS,
+        VoronoiPattern,
+        RandomPattern,
+        InfectPattern,
+        CustomPattern,
+        PATTERN_IMAGE_SIZE,
+        encode_pattern_image,
+        decode_pattern_image,
+        ImagePattern,
+        HexDiagonalPattern,
+        HexFloodPattern,
+        HexDiamondPattern,
+        HexBoxPattern,
+        HexInfectPattern,
+        HexSpiralPattern,
+        PatternWrapper,
+        PatternInterlaced,
+        PatternReversed,
+        PatternMirrored,
+        PatternFlipped,
+        PatternReflected,
+        PATTERN_GENERATORS,
+        EASING_PRESETS,
+        cubic_bezier,
+        parse_easing,
+        invert_easing,
+        parse_step_grid,
+        step_grid_from_image,
+        step_grid_from_generator,
+        step_grid_to_csv,
+        step_grid_to_json,
+        step_grid_to_image,
+        build_pattern_generator,
+        raycast_to_opaque_pixel,
+        build_particle_stamp,
+        generate_particle_wipe_mask,
+        mask_times_view,
+        pack_mask_times,
+        unpack_mask_values,
+        mask_to_grayscale,
+        MASK_EXPORT_FORMATS,
+        compare_masks,
+    };
+}
@@ -0,0 +1,321 @@
+"use strict";
+// Just enough GIF to export an animation: a median cut palette for each frame,
+// and LZW compression.  Frames are encoded as they come in, so a long
+// animation never has to sit in memory all at once.
+
+// Colors are sorted into buckets with this many bits per channel before
+// picking a palette, which keeps median cut quick and is plenty for a wipe
+const GIF_BUCKET_BITS = 5;
+const GIF_BUCKET_CT = 1 << (GIF_BUCKET_BITS * 3);
+// Pixels less opaque than this become transparent, since GIF has no partial
+// transparency
+const GIF_ALPHA_THRESHOLD = 128;
+// Biggest LZW code GIF allows, and thus the size of the dictionary
+const GIF_MAX_CODE = 4095;
+
+function _gif_bucket(r, g, b) {
+    const shift = 8 - GIF_BUCKET_BITS;
+    return ((r >> shift) << (GIF_BUCKET_BITS * 2)) | ((g >> shift) << GIF_BUCKET_BITS) | (b >> shift);
+}
+
+// Pick up to color_ct colors for an image with median cut.  Returns the palette
+// as flat rgb bytes, and a lookup from bucket to palette index (or -1 for
+// colors the image doesn't use)
+function gif_median_cut(image, color_ct) {
+    let counts = new Uint32Array(GIF_BUCKET_CT);
+    // Sums of the real colors in each bucket, so the palette doesn't get
+    // rounded off to the bucket size
+    let sums = new Float64Array(GIF_BUCKET_CT * 3);
+    const data = image.data;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < GIF_ALPHA_THRESHOLD) {
+            continue;
+        }
+        const bucket = _gif_bucket(data[i], data[i + 1], data[i + 2]);
+        counts[bucket]++;
+        sums[bucket * 3 + 0] += data[i];
+        sums[bucket * 3 + 1] += data[i + 1];
+        sums[bucket * 3 + 2] += data[i + 2];
+    }
+
+    let used = [];
+    for (let bucket = 0; bucket < GIF_BUCKET_CT; bucket++) {
+        if (counts[bucket] > 0) {
+            used.push(bucket);
+        }
+    }
+
+    const mask = (1 << GIF_BUCKET_BITS) - 1;
+    const channel_of = (bucket, channel) => (bucket >> (GIF_BUCKET_BITS * (2 - channel))) & mask;
+    // Each box is a list of buckets; keep splitting the one with the widest
+    // spread in any channel, at its median pixel
+    let boxes = used.length > 0 ? [used] : [];
+    while (boxes.length < color_ct) {
+        let best = null;
+        let best_range = 0;
+        let best_channel = 0;
+        for (const box of boxes) {
+            if (box.length < 2) {
+                continue;
+            }
+            for (let channel = 0; channel < 3; channel++) {
+                let min = mask;
+                let max = 0;
+                for (const bucket of box) {
+                    const value = channel_of(bucket, channel);
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+                if (max - min > best_range) {
+                    best = box;
+                    best_range = max - min;
+                    best_channel = channel;
+                }
+            }
+        }
+        if (! best) {
+            break;
+        }
+
+        best.sort((a, b) => channel_of(a, best_channel) - channel_of(b, best_channel));
+        let total = 0;
+        for (const bucket of best) {
+            total += counts[bucket];
+        }
+        let seen = 0;
+        let split = 1;
+        for (; split < best.length - 1; split++) {
+            seen += counts[best[split - 1]];
+            if (seen * 2 >= total) {
+                break;
+            }
+        }
+        boxes.splice(boxes.indexOf(best), 1, best.slice(0, split), best.slice(split));
+    }
+
+    let palette = new Uint8Array(color_ct * 3);
+    let lookup = new Int16Array(GIF_BUCKET_CT).fill(-1);
+    boxes.forEach((box, index) => {
+        let total = 0;
+        let r = 0, g = 0, b = 0;
+        for (const bucket of box) {
+            total += counts[bucket];
+            r += sums[bucket * 3 + 0];
+            g += sums[bucket * 3 + 1];
+            b += sums[bucket * 3 + 2];
+            lookup[bucket] = index;
+        }
+        palette[index * 3 + 0] = Math.round(r / total);
+        palette[index * 3 + 1] = Math.round(g / total);
+        palette[index * 3 + 2] = Math.round(b / total);
+    });
+
+    return { palette, lookup, color_ct: boxes.length };
+}
+
+// Compress palette indices with GIF's flavor of LZW, and return the result
+// already split into sub-blocks
+function gif_lzw(indices, min_code_size) {
+    const clear_code = 1 << min_code_size;
+    const end_code = clear_code + 1;
+
+    // The dictionary maps (prefix code, next index) to a code.  Stamp each
+    // entry with which generation of the dictionary it belongs to, so clearing
+    // it is free
+    let codes = new Int16Array(1 << 20);
+    let stamps = new Uint16Array(1 << 20);
+    let generation = 1;
+    let next_code = end_code + 1;
+    let code_size = min_code_size + 1;
+
+    let out = new Uint8Array(1024);
+    let out_length = 0;
+    let bits = 0;
+    let bit_ct = 0;
+    function emit(code) {
+        bits |= code << bit_ct;
+        bit_ct += code_size;
+        while (bit_ct >= 8) {
+            if (out_length >= out.length) {
+                let bigger = new Uint8Array(out.length * 2);
+                bigger.set(out);
+                out = bigger;
+            }
+            out[out_length++] = bits & 0xff;
+            bits >>>= 8;
+            bit_ct -= 8;
+        }
+    }
+
+    emit(clear_code);
+    let prefix = indices.length > 0 ? indices[0] : -1;
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        if (stamps[key] === generation) {
+            prefix = codes[key];
+            continue;
+        }
+
+        emit(prefix);
+        if (next_code <= GIF_MAX_CODE) {
+            // The decoder grows its code size as soon as it adds a code that
+            // needs the extra bit, so keep in step with it
+            if (next_code === (1 << code_size) && code_size < 12) {
+                code_size++;
+            }
+            codes[key] = next_code++;
+            stamps[key] = generation;
+        }
+        else {
+            emit(clear_code);
+            generation++;
+            next_code = end_code + 1;
+            code_size = min_code_size + 1;
+        }
+        prefix = index;
+    }
+    if (prefix >= 0) {
+        emit(prefix);
+        // The decoder still makes a new entry after this last code, which may
+        // widen the end code too
+        if (next_code === (1 << code_size) && code_size < 12) {
+            code_size++;
+        }
+    }
+    emit(end_code);
+    if (bit_ct > 0) {
+        // Pad out the last byte
+        code_size = 8 - bit_ct;
+        emit(0);
+    }
+
+    // Split into sub-blocks of at most 255 bytes, ending with an empty one
+    const block_ct = Math.ceil(out_length / 255);
+    let blocks = new Uint8Array(out_length + block_ct + 1);
+    let p = 0;
+    for (let start = 0; start < out_length; start += 255) {
+        const length = Math.min(255, out_length - start);
+        blocks[p++] = length;
+        blocks.set(out.subarray(start, start + length), p);
+        p += length;
+    }
+    blocks[p] = 0;
+    return blocks;
+}
+
+// Builds an animated GIF one frame at a time.  Options:
+//   loop: true to loop forever (the default), or false to play once
+class GifEncoder {
+    constructor(width, height, options) {
+        options = options || {};
+        this.width = width;
+        this.height = height;
+        this.parts = [];
+
+        let header = new Uint8Array(13);
+        header.set([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]);  // GIF89a
+        let view = new DataView(header.buffer);
+        view.setUint16(6, width, true);
+        view.setUint16(8, height, true);
+        // No global palette; each frame brings its own
+        header[10] = 0;
+        this.parts.push(header);
+
+        if (options.loop !== false) {
+            // The NETSCAPE2.0 extension, with a loop count of 0, i.e. forever
+            this.parts.push(new Uint8Array([
+                0x21, 0xff, 0x0b,
+                ...Array.from('NETSCAPE2.0', ch => ch.charCodeAt(0)),
+                0x03, 0x01, 0x00, 0x00, 0x00,
+            ]));
+        }
+    }
+
+    // Add a frame, which is anything with width, height, and RGBA data like
+    // ImageData, to be shown for delay hundredths of a second
+    add_frame(image, delay) {
+        if (image.width !== this.width || image.height !== this.height) {
+            throw new Error(`Expected a ${this.width}×${this.height} frame, not ${image.width}×${image.height}`);
+        }
+
+        const data = image.data;
+        let has_transparency = false;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < GIF_ALPHA_THRESHOLD) {
+                has_transparency = true;
+                break;
+            }
+        }
+
+        // Save the last slot for transparency, if need be
+        const { palette, lookup, color_ct } = gif_median_cut(image, has_transparency ? 255 : 256);
+        const transparent_index = has_transparency ? color_ct : 0;
+        // Palettes come in powers of two, at least 2 colors
+        let table_bits = 1;
+        while ((1 << table_bits) < color_ct + (has_transparency ? 1 : 0)) {
+            table_bits++;
+        }
+
+        let indices = new Uint8Array(this.width * this.height);
+        for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+            if (data[p + 3] < GIF_ALPHA_THRESHOLD) {
+                indices[i] = transparent_index;
+            }
+            else {
+                indices[i] = lookup[_gif_bucket(data[p], data[p + 1], data[p + 2])];
+            }
+        }
+
+        // Graphic control extension, for the delay and transparency.  Frames
+        // with holes in them clear the canvas afterwards, so they don't show
+        // through to the next frame
+        const disposal = has_transparency ? 2 : 1;
+        let control = new Uint8Array([
+            0x21, 0xf9, 0x04,
+            (disposal << 2) | (has_transparency ? 1 : 0),
+            delay & 0xff, (delay >> 8) & 0xff,
+            transparent_index,
+            0x00,
+        ]);
+
+        let descriptor = new Uint8Array(10);
+        let view = new DataView(descriptor.buffer);
+        descriptor[0] = 0x2c;
+        view.setUint16(5, this.width, true);
+        view.setUint16(7, this.height, true);
+        // Local palette, of 2^table_bits colors
+        descriptor[9] = 0x80 | (table_bits - 1);
+
+        let table = new Uint8Array((1 << table_bits) * 3);
+        table.set(palette.subarray(0, Math.min(palette.length, table.length)));
+
+        const min_code_size = Math.max(2, table_bits);
+        this.parts.push(control, descriptor, table, new Uint8Array([min_code_size]), gif_lzw(indices, min_code_size));
+    }
+
+    // Returns the whole GIF, as a Uint8Array
+    finish() {
+        this.parts.push(new Uint8Array([0x3b]));
+        let length = 0;
+        for (const part of this.parts) {
+            length += part.length;
+        }
+        let out = new Uint8Array(length);
+        let p = 0;
+        for (const part of this.parts) {
+            out.set(part, p);
+            p += part.length;
+        }
+        return out;
+    }
+}
+
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        gif_median_cut,
+        gif_lzw,
+        GifEncoder,
+    };
+}
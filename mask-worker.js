@@ -0,0 +1,30 @@
+"use strict";
+// Runs generate_particle_wipe_mask off the main thread, so the page doesn't
+// freeze for seconds at a time.  Expects a single message with:
+//   particle: ImageData of the particle
+//   width, height: size of the mask to make
+//   settings: GeneratorView.settings, from which we rebuild the generator
+//   easing: an easing to bake into the mask, or null
+// and replies with any number of { type: 'progress', fraction } messages,
+// followed by { type: 'done', mask, stats }, where mask is an ImageData and
+// stats is whatever generate_particle_wipe_mask returned.  To cancel,
+// just terminate the worker.
+importScripts('generator.js');
+
+self.addEventListener('message', event => {
+    const { particle, width, height, settings, easing } = event.data;
+    const generator = build_pattern_generator(settings);
+    let mask = new ImageData(width, height);
+
+    // Progress is reported every row, which is a lot of messages, so only pass
+    // along every percent or so
+    let last_fraction = 0;
+    const stats = generate_particle_wipe_mask(particle, mask, settings.rows, settings.columns, settings.delay, generator, fraction => {
+        if (fraction - last_fraction >= 0.01) {
+            last_fraction = fraction;
+            self.postMessage({ type: 'progress', fraction: fraction });
+        }
+    }, easing);
+
+    self.postMessage({ type: 'done', mask: mask, stats: stats }, [mask.data.buffer]);
+});
@@ -0,0 +1,466 @@
+"use strict";
+// Just enough PNG to get by without a canvas: reading particles for the
+// command-line generator, and writing masks.  Compression is left to the
+// caller, since Node has zlib and browsers don't (synchronously, anyway).
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const PNG_COLOR_GRAY = 0;
+const PNG_COLOR_RGB = 2;
+const PNG_COLOR_PALETTE = 3;
+const PNG_COLOR_GRAY_ALPHA = 4;
+const PNG_COLOR_RGBA = 6;
+// Number of channels for each color type
+const PNG_CHANNELS = {
+    [PNG_COLOR_GRAY]: 1,
+    [PNG_COLOR_RGB]: 3,
+    [PNG_COLOR_PALETTE]: 1,
+    [PNG_COLOR_GRAY_ALPHA]: 2,
+    [PNG_COLOR_RGBA]: 4,
+};
+
+let _crc_table = null;
+function crc32(bytes, crc) {
+    if (! _crc_table) {
+        _crc_table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            _crc_table[n] = c;
+        }
+    }
+
+    crc = (crc === undefined ? 0xffffffff : crc ^ 0xffffffff);
+    for (let i = 0; i < bytes.length; i++) {
+        crc = _crc_table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+// Wrap some bytes in a zlib stream without actually compressing them, using
+// deflate's "stored" blocks.  Bigger, but valid, and needs no library.
+function zlib_store(bytes) {
+    const max_block = 65535;
+    const block_ct = Math.max(1, Math.ceil(bytes.length / max_block));
+    let out = new Uint8Array(2 + bytes.length + block_ct * 5 + 4);
+    // CMF/FLG: deflate with a 32K window, no dictionary, fastest
+    out[0] = 0x78;
+    out[1] = 0x01;
+    let p = 2;
+    for (let i = 0; i < block_ct; i++) {
+        const start = i * max_block;
+        const len = Math.min(max_block, bytes.length - start);
+        out[p++] = (i === block_ct - 1) ? 1 : 0;
+        out[p++] = len & 0xff;
+        out[p++] = len >> 8;
+        out[p++] = ~len & 0xff;
+        out[p++] = (~len >> 8) & 0xff;
+        out.set(bytes.subarray(start, start + len), p);
+        p += len;
+    }
+    const checksum = adler32(bytes);
+    out[p++] = checksum >>> 24;
+    out[p++] = (checksum >>> 16) & 0xff;
+    out[p++] = (checksum >>> 8) & 0xff;
+    out[p++] = checksum & 0xff;
+    return out;
+}
+
+function _png_chunk(type, data) {
+    let chunk = new Uint8Array(12 + data.length);
+    let view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+function _concat_bytes(parts) {
+    let length = 0;
+    for (const part of parts) {
+        length += part.length;
+    }
+    let out = new Uint8Array(length);
+    let p = 0;
+    for (const part of parts) {
+        out.set(part, p);
+        p += part.length;
+    }
+    return out;
+}
+
+// Check over encoding options, and return the PNG color type and the raw
+// bytes per sample they call for
+function _png_format(color, bit_depth) {
+    let color_type;
+    if (color === 'rgba') {
+        color_type = PNG_COLOR_RGBA;
+    }
+    else if (color === 'gray') {
+        color_type = PNG_COLOR_GRAY;
+    }
+    else {
+        throw new Error(`Unsupported PNG color: ${color}`);
+    }
+    if (bit_depth !== 8 && bit_depth !== 16) {
+        throw new Error(`Unsupported PNG bit depth: ${bit_depth}`);
+    }
+    return color_type;
+}
+
+function _png_header(width, height, bit_depth, color_type) {
+    let header = new Uint8Array(13);
+    let view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = bit_depth;
+    header[9] = color_type;
+    // compression, filter, interlace: all the boring defaults
+    header[10] = 0;
+    header[11] = 0;
+    header[12] = 0;
+    return _png_chunk('IHDR', header);
+}
+
+// Lay out an image's pixels the way PNG wants them, before compression
+function _png_raw_rows(image, color_type, bit_depth) {
+    const width = image.width;
+    const height = image.height;
+    const channels = PNG_CHANNELS[color_type];
+    const bytes_per_sample = bit_depth / 8;
+    const stride = width * channels * bytes_per_sample;
+
+    // Every row gets a leading filter byte, which we always leave as 0 (none)
+    let raw = new Uint8Array((stride + 1) * height);
+    let p = 0;
+    let q = 0;
+    for (let y = 0; y < height; y++) {
+        raw[p++] = 0;
+        for (let x = 0; x < width * channels; x++, q++) {
+            const value = image.data[q];
+            if (bytes_per_sample === 2) {
+                raw[p++] = value >> 8;
+                raw[p++] = value & 0xff;
+            }
+            else {
+                raw[p++] = value;
+            }
+        }
+    }
+    return raw;
+}
+
+// Encode an image as a PNG, returning a Uint8Array.  The image is anything with
+// width, height, and data.  Options:
+//   color: 'rgba' (the default, in which case data is laid out like ImageData)
+//       or 'gray' (one value per pixel)
+//   bit_depth: 8 (the default) or 16, in which case data should hold 16-bit
+//       values, e.g. a Uint16Array
+//   deflate: function that turns bytes into a zlib stream; defaults to
+//       zlib_store, which doesn't compress at all.  If it returns a promise,
+//       e.g. to use the browser's CompressionStream, so does encode_png
+function encode_png(image, options) {
+    options = options || {};
+    const bit_depth = options.bit_depth || 8;
+    const deflate = options.deflate || zlib_store;
+    const color_type = _png_format(options.color || 'rgba', bit_depth);
+
+    const finish = compressed => _concat_bytes([
+        new Uint8Array(PNG_SIGNATURE),
+        _png_header(image.width, image.height, bit_depth, color_type),
+        _png_chunk('IDAT', compressed),
+        _png_chunk('IEND', new Uint8Array(0)),
+    ]);
+    const compressed = deflate(_png_raw_rows(image, color_type, bit_depth));
+    return (compressed instanceof Promise) ? compressed.then(finish) : finish(compressed);
+}
+
+// Builds an animated PNG one frame at a time, so a long animation never has to
+// sit in memory uncompressed.  APNG wants the frame count up front.  Options
+// are the same as for encode_png, plus:
+//   loop: true to loop forever (the default), or false to play once
+// deflate may also return a promise, e.g. to use the browser's
+// CompressionStream, so add_frame is async
+class ApngEncoder {
+    constructor(width, height, frame_ct, options) {
+        options = options || {};
+        this.width = width;
+        this.height = height;
+        this.frame_ct = frame_ct;
+        this.bit_depth = options.bit_depth || 8;
+        this.deflate = options.deflate || zlib_store;
+        this.color_type = _png_format(options.color || 'rgba', this.bit_depth);
+        // fcTL and fdAT chunks share one sequence
+        this.sequence = 0;
+        this.frames_added = 0;
+
+        let control = new Uint8Array(8);
+        let view = new DataView(control.buffer);
+        view.setUint32(0, frame_ct);
+        view.setUint32(4, options.loop === false ? 1 : 0);
+        this.parts = [
+            new Uint8Array(PNG_SIGNATURE),
+            _png_header(width, height, this.bit_depth, this.color_type),
+            _png_chunk('acTL', control),
+        ];
+    }
+
+    // Add a frame, the same kind of image encode_png takes, to be shown for
+    // delay milliseconds
+    async add_frame(image, delay) {
+        if (this.frames_added >= this.frame_ct) {
+            throw new Error(`Expected only ${this.frame_ct} frames`);
+        }
+        if (image.width !== this.width || image.height !== this.height) {
+            throw new Error(`Expected a ${this.width}×${this.height} frame, not ${image.width}×${image.height}`);
+        }
+
+        // Every frame covers the whole image and replaces what was there
+        let control = new Uint8Array(26);
+        let view = new DataView(control.buffer);
+        view.setUint32(0, this.sequence++);
+        view.setUint32(4, this.width);
+        view.setUint32(8, this.height);
+        // x and y offsets stay 0
+        view.setUint16(20, Math.round(delay));
+        view.setUint16(22, 1000);
+        // dispose_op none, blend_op source
+        control[24] = 0;
+        control[25] = 0;
+        this.parts.push(_png_chunk('fcTL', control));
+
+        const compressed = await this.deflate(_png_raw_rows(image, this.color_type, this.bit_depth));
+        if (this.frames_added === 0) {
+            // The first frame doubles as the still image, for viewers that
+            // don't know about APNG
+            this.parts.push(_png_chunk('IDAT', compressed));
+        }
+        else {
+            let data = new Uint8Array(4 + compressed.length);
+            new DataView(data.buffer).setUint32(0, this.sequence++);
+            data.set(compressed, 4);
+            this.parts.push(_png_chunk('fdAT', data));
+        }
+        this.frames_added++;
+    }
+
+    // Returns the whole APNG, as a Uint8Array
+    finish() {
+        if (this.frames_added !== this.frame_ct) {
+            throw new Error(`Expected ${this.frame_ct} frames, but only got ${this.frames_added}`);
+        }
+        this.parts.push(_png_chunk('IEND', new Uint8Array(0)));
+        return _concat_bytes(this.parts);
+    }
+}
+
+function _paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) {
+        return a;
+    }
+    else if (pb <= pc) {
+        return b;
+    }
+    else {
+        return c;
+    }
+}
+
+// Decode a PNG into an ImageData-like object with 8-bit RGBA data.  inflate is
+// a function that turns a zlib stream back into bytes, e.g. Node's
+// zlib.inflateSync.  Interlaced images aren't supported.
+function decode_png(bytes, inflate) {
+    bytes = new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+        if (bytes[i] !== PNG_SIGNATURE[i]) {
+            throw new Error("Not a PNG file");
+        }
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let width, height, bit_depth, color_type, interlace;
+    let palette = null;
+    let transparency = null;
+    let idat_parts = [];
+    let p = PNG_SIGNATURE.length;
+    while (p < bytes.length) {
+        const length = view.getUint32(p);
+        const type = String.fromCharCode(...bytes.subarray(p + 4, p + 8));
+        const data = bytes.subarray(p + 8, p + 8 + length);
+        p += 12 + length;
+
+        if (type === 'IHDR') {
+            const header = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            width = header.getUint32(0);
+            height = header.getUint32(4);
+            bit_depth = data[8];
+            color_type = data[9];
+            interlace = data[12];
+        }
+        else if (type === 'PLTE') {
+            palette = data;
+        }
+        else if (type === 'tRNS') {
+            transparency = data;
+        }
+        else if (type === 'IDAT') {
+            idat_parts.push(data);
+        }
+        else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (width === undefined) {
+        throw new Error("PNG has no header");
+    }
+    if (interlace) {
+        throw new Error("Interlaced PNGs aren't supported");
+    }
+    const channels = PNG_CHANNELS[color_type];
+    if (channels === undefined) {
+        throw new Error(`Unknown PNG color type: ${color_type}`);
+    }
+
+    const raw = inflate(_concat_bytes(idat_parts));
+
+    // Undo the per-row filters.  Filters work on bytes, with "previous pixel"
+    // meaning the previous whole pixel, or the previous byte for packed
+    // sub-byte pixels
+    const bits_per_pixel = channels * bit_depth;
+    const bpp = Math.max(1, bits_per_pixel / 8);
+    const stride = Math.ceil(width * bits_per_pixel / 8);
+    let unfiltered = new Uint8Array(stride * height);
+    let prev = new Uint8Array(stride);
+    let q = 0;
+    for (let y = 0; y < height; y++) {
+        const filter = raw[q++];
+        let row = unfiltered.subarray(y * stride, (y + 1) * stride);
+        for (let x = 0; x < stride; x++, q++) {
+            const a = x >= bpp ? row[x - bpp] : 0;
+            const b = prev[x];
+            const c = x >= bpp ? prev[x - bpp] : 0;
+            let value = raw[q];
+            if (filter === 1) {
+                value += a;
+            }
+            else if (filter === 2) {
+                value += b;
+            }
+            else if (filter === 3) {
+                value += (a + b) >> 1;
+            }
+            else if (filter === 4) {
+                value += _paeth(a, b, c);
+            }
+            row[x] = value;
+        }
+        prev = row;
+    }
+
+    // Read out samples, scaled to 8 bits
+    const max_sample = (1 << bit_depth) - 1;
+    function sample(row, index) {
+        if (bit_depth === 16) {
+            return row[index * 2];
+        }
+        else if (bit_depth === 8) {
+            return row[index];
+        }
+        const per_byte = 8 / bit_depth;
+        const byte = row[Math.floor(index / per_byte)];
+        const shift = 8 - bit_depth * (index % per_byte + 1);
+        return (byte >> shift) & max_sample;
+    }
+    function raw_sample(row, index) {
+        if (bit_depth === 16) {
+            return (row[index * 2] << 8) | row[index * 2 + 1];
+        }
+        return sample(row, index);
+    }
+    const scale = bit_depth < 8 ? 255 / max_sample : 1;
+
+    let out = new Uint8ClampedArray(width * height * 4);
+    let o = 0;
+    for (let y = 0; y < height; y++) {
+        const row = unfiltered.subarray(y * stride, (y + 1) * stride);
+        for (let x = 0; x < width; x++, o += 4) {
+            const s = x * channels;
+            if (color_type === PNG_COLOR_PALETTE) {
+                const index = sample(row, s);
+                out[o + 0] = palette[index * 3 + 0];
+                out[o + 1] = palette[index * 3 + 1];
+                out[o + 2] = palette[index * 3 + 2];
+                out[o + 3] = (transparency && index < transparency.length) ? transparency[index] : 255;
+            }
+            else if (color_type === PNG_COLOR_GRAY || color_type === PNG_COLOR_GRAY_ALPHA) {
+                const gray = sample(row, s) * scale;
+                out[o + 0] = out[o + 1] = out[o + 2] = gray;
+                if (color_type === PNG_COLOR_GRAY_ALPHA) {
+                    out[o + 3] = sample(row, s + 1);
+                }
+                else if (transparency && raw_sample(row, s) === ((transparency[0] << 8) | transparency[1])) {
+                    out[o + 3] = 0;
+                }
+                else {
+                    out[o + 3] = 255;
+                }
+            }
+            else {
+                out[o + 0] = sample(row, s + 0);
+                out[o + 1] = sample(row, s + 1);
+                out[o + 2] = sample(row, s + 2);
+                if (color_type === PNG_COLOR_RGBA) {
+                    out[o + 3] = sample(row, s + 3);
+                }
+                else if (transparency
+                    && raw_sample(row, s + 0) === ((transparency[0] << 8) | transparency[1])
+                    && raw_sample(row, s + 1) === ((transparency[2] << 8) | transparency[3])
+                    && raw_sample(row, s + 2) === ((transparency[4] << 8) | transparency[5]))
+                {
+                    out[o + 3] = 0;
+                }
+                else {
+                    out[o + 3] = 255;
+                }
+            }
+        }
+    }
+
+    return {
+        width: width,
+        height: height,
+        data: out,
+    };
+}
+
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        crc32,
+        adler32,
+        zlib_store,
+        encode_png,
+        ApngEncoder,
+        decode_png,
+    };
+}
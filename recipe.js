@@ -0,0 +1,307 @@
+"use strict";
+// A "recipe" is everything needed to reproduce a wipe, as plain JSON, so it can
+// be saved to a file, handed around, or kept in version control.  It looks
+// like this:
+//
+//   {
+//     "version": 1,
+//     "settings": { "rows": 18, "columns": 32, "pattern": "wipe", ... },
+//     "particle": { "preset": "diamond" },
+//     "seed": null,
+//     "resolution": { "width": 1280, "height": 720 },
+//     "playback": {
+//       "duration": 120, "ramp": 4, "halo": "#000000", "loop": false,
+//       "mode": "forward", "easing": "linear", "bake_easing": false
+//     }
+//   }
+//
+// settings uses the same keys as GeneratorView.settings, except for the seed,
+// which is an integer fed to every random pattern.  The particle is
+// either a preset (plus "text" for the text preset) or an embedded "image" as
+// a PNG data: URL.  Playback values are in the same units as the sliders:
+// duration in 60fps frames, ramp out of 256, halo a hex color or null, loop
+// a boolean, and mode one of RECIPE_PLAY_MODES.  easing is anything
+// parse_easing understands, e.g. "ease-in" or "cubic-bezier(0.4, 0, 0.2, 1)";
+// if bake_easing is set, it's applied when generating the mask rather than
+// during playback.
+// Bump the version whenever the meaning of an existing field changes, and
+// teach normalize_recipe how to upgrade the old one.
+const RECIPE_VERSION = 1;
+
+// Largest width or height we're willing to generate a mask for
+const MAX_RESOLUTION = 8192;
+
+// The names of WipePlayer's PLAY_MODES.  script.js isn't around to ask when
+// this runs from the command line, so they're repeated here
+const RECIPE_PLAY_MODES = ['forward', 'backward', 'swap', 'ping-pong'];
+
+const DEFAULT_RECIPE = {
+    version: RECIPE_VERSION,
+    settings: {
+        rows: 18,
+        columns: 32,
+        layout: 'square',
+        // Only for brick layouts; fraction of a cell to shift every other row
+        stagger: 0.5,
+        delay: 0.0625,
+        pattern: 'wipe',
+        direction: 'row',
+        angle: 0,
+        droop: 0,
+        // For slide
+        'band-size': 1,
+        'fill-delay': 3,
+        loops: 1,
+        arms: 1,
+        // For iris and Voronoi; a list of points, as fractions of the board
+        foci: '0.5, 0.5',
+        ellipse: false,
+        // For Voronoi; 0 seeds means to use the focal points instead
+        'seed-count': 12,
+        'seed-delay': 0,
+        metric: 'euclidean',
+        // For random
+        'step-range': 16,
+        // For infect; neighbors is 4 or 8
+        density: 1/32,
+        neighbors: 4,
+        spread: 0,
+        // For noise; scale is in cells
+        'noise-scale': 8,
+        octaves: 3,
+        bias: 0,
+        // For clock
+        counterclockwise: false,
+        falloff: 0,
+        'center-x': 0.5,
+        'center-y': 0.5,
+        // For image; a thumbnail, as made by encode_pattern_image
+        'pattern-image': '',
+        'image-channel': 'luminance',
+        'image-invert': false,
+        'image-contrast': 1,
+        'image-gamma': 1,
+        'image-levels': 0,
+        // Only for the custom pattern; a step grid as CSV
+        'custom-steps': '',
+        interlace: 1,
+        reflect: false,
+        reverse: false,
+        mirror: false,
+        flip: false,
+    },
+    particle: { preset: 'diamond' },
+    // null means the recipe doesn't care, or predates seeding
+    seed: null,
+    resolution: { width: 1280, height: 720 },
+    playback: {
+        duration: 120,
+        ramp: 4,
+        halo: '#000000',
+        loop: false,
+        mode: 'forward',
+        easing: 'linear',
+        bake_easing: false,
+    },
+};
+
+// Check over a recipe (either parsed or as a JSON string), fill in anything
+// missing from the defaults, and return a fresh copy at the current version.
+// Throws if it doesn't look like a recipe at all, or if any of the values it
+// has are nonsense, so a bad recipe can be turned away before it's half applied.
+function normalize_recipe(data) {
+    if (typeof data === 'string') {
+        data = JSON.parse(data);
+    }
+    if (! data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error("A recipe should be a JSON object");
+    }
+    if (typeof data.version !== 'number') {
+        throw new Error("This doesn't look like a recipe; it has no version");
+    }
+    if (data.version > RECIPE_VERSION) {
+        throw new Error(`This recipe is version ${data.version}, but I only understand up to version ${RECIPE_VERSION}`);
+    }
+
+    let particle = data.particle || DEFAULT_RECIPE.particle;
+    if (! particle.preset && ! particle.image) {
+        throw new Error("A recipe's particle needs either a preset or an image");
+    }
+
+    const recipe = {
+        version: RECIPE_VERSION,
+        settings: Object.assign({}, DEFAULT_RECIPE.settings, data.settings),
+        particle: Object.assign({}, particle),
+        seed: data.seed === undefined ? DEFAULT_RECIPE.seed : data.seed,
+        resolution: Object.assign({}, DEFAULT_RECIPE.resolution, data.resolution),
+        playback: Object.assign({}, DEFAULT_RECIPE.playback, data.playback),
+    };
+
+    // The defaults say which settings are numbers.  Those may show up as
+    // strings, since that's what a URL or a <select> gives us, but they have to
+    // be numbers underneath
+    for (const [key, default_value] of Object.entries(DEFAULT_RECIPE.settings)) {
+        if (typeof default_value !== 'number') {
+            continue;
+        }
+        let value = recipe.settings[key];
+        if (typeof value === 'string' && value.trim() !== '') {
+            value = Number(value);
+        }
+        if (typeof value !== 'number' || ! isFinite(value)) {
+            throw new Error(`Recipe setting ${key} should be a number, not ${JSON.stringify(recipe.settings[key])}`);
+        }
+        recipe.settings[key] = value;
+    }
+    if (recipe.seed !== null && ! Number.isInteger(recipe.seed)) {
+        throw new Error("A recipe's seed should be an integer or null");
+    }
+    for (const key of ['width', 'height']) {
+        const value = recipe.resolution[key];
+        if (! Number.isInteger(value) || value <= 0 || value > MAX_RESOLUTION) {
+            throw new Error(`Recipe resolution ${key} should be a whole number from 1 to ${MAX_RESOLUTION}`);
+        }
+    }
+    for (const key of ['duration', 'ramp']) {
+        if (typeof recipe.playback[key] !== 'number' || ! isFinite(recipe.playback[key])) {
+            throw new Error(`Recipe playback ${key} should be a number`);
+        }
+    }
+    if (RECIPE_PLAY_MODES.indexOf(recipe.playback.mode) < 0) {
+        throw new Error(`Unknown play mode in recipe: ${recipe.playback.mode}`);
+    }
+
+    return recipe;
+}
+
+function serialize_recipe(recipe) {
+    return JSON.stringify(recipe, null, 4) + "\n";
+}
+
+// Recipes can also be flattened into URL parameters, to share as a link.  The
+// settings go in as-is, alongside a handful of other parameters with these
+// names -- so don't name a setting any of these!  An embedded particle image
+// won't fit in a URL, so only presets survive the trip, and the image
+// pattern's picture is left out for the same reason.  Custom step grids do go
+// in, as CSV, so a big painted grid makes for a long link.
+const URL_RECIPE_KEYS = ['v', 'particle', 'text', 'seed', 'width', 'height', 'duration', 'ramp', 'halo', 'loop', 'mode', 'easing', 'bake'];
+
+function recipe_to_url_params(recipe) {
+    let params = new URLSearchParams();
+    params.set('v', String(recipe.version));
+    for (const [key, value] of Object.entries(recipe.settings)) {
+        if (key === 'pattern-image') {
+            continue;
+        }
+        if (typeof value === 'boolean') {
+            params.set(key, value ? '1' : '0');
+        }
+        else {
+            params.set(key, String(value));
+        }
+    }
+
+    if (recipe.particle.preset) {
+        params.set('particle', recipe.particle.preset);
+        if (recipe.particle.text) {
+            params.set('text', recipe.particle.text);
+        }
+    }
+    if (recipe.seed !== null) {
+        params.set('seed', String(recipe.seed));
+    }
+    params.set('width', String(recipe.resolution.width));
+    params.set('height', String(recipe.resolution.height));
+
+    params.set('duration', String(recipe.playback.duration));
+    params.set('ramp', String(recipe.playback.ramp));
+    // Skip the # so it doesn't get all percent-encoded
+    params.set('halo', recipe.playback.halo === null ? 'none' : recipe.playback.halo.replace(/^#/, ''));
+    params.set('loop', recipe.playback.loop ? '1' : '0');
+    params.set('mode', recipe.playback.mode);
+    params.set('easing', recipe.playback.easing);
+    params.set('bake', recipe.playback.bake_easing ? '1' : '0');
+
+    return params;
+}
+
+// Inverse of the above; returns a normalized recipe.  Anything missing gets the
+// default, and anything that isn't a setting we know about is dropped, so it
+// doesn't end up in the next permalink
+function url_params_to_recipe(params) {
+    let data = {
+        version: parseInt(params.get('v'), 10) || RECIPE_VERSION,
+        settings: {},
+        resolution: {},
+        playback: {},
+    };
+
+    for (const [key, value] of params) {
+        if (URL_RECIPE_KEYS.indexOf(key) >= 0) {
+            continue;
+        }
+
+        if (! Object.prototype.hasOwnProperty.call(DEFAULT_RECIPE.settings, key)) {
+            continue;
+        }
+        // Use the defaults to figure out what type each setting ought to be.
+        // Numbers are left as strings for normalize_recipe to check over
+        if (typeof DEFAULT_RECIPE.settings[key] === 'boolean') {
+            data.settings[key] = (value === '1' || value === 'true');
+        }
+        else {
+            data.settings[key] = value;
+        }
+    }
+
+    if (params.has('particle')) {
+        data.particle = { preset: params.get('particle') };
+        if (params.has('text')) {
+            data.particle.text = params.get('text');
+        }
+    }
+    if (params.has('seed')) {
+        data.seed = parseInt(params.get('seed'), 10);
+    }
+    for (const key of ['width', 'height']) {
+        if (params.has(key)) {
+            data.resolution[key] = parseInt(params.get(key), 10);
+        }
+    }
+    for (const key of ['duration', 'ramp']) {
+        if (params.has(key)) {
+            data.playback[key] = parseInt(params.get(key), 10);
+        }
+    }
+    if (params.has('halo')) {
+        const halo = params.get('halo');
+        data.playback.halo = (halo === 'none') ? null : '#' + halo;
+    }
+    if (params.has('loop')) {
+        data.playback.loop = (params.get('loop') === '1');
+    }
+    for (const key of ['mode', 'easing']) {
+        if (params.has(key)) {
+            data.playback[key] = params.get(key);
+        }
+    }
+    if (params.has('bake')) {
+        data.playback.bake_easing = (params.get('bake') === '1');
+    }
+
+    return normalize_recipe(data);
+}
+
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RECIPE_VERSION,
+        MAX_RESOLUTION,
+        RECIPE_PLAY_MODES,
+        DEFAULT_RECIPE,
+        normalize_recipe,
+        serialize_recipe,
+        recipe_to_url_params,
+        url_params_to_recipe,
+    };
+}
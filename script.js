@@ -1,36 +1,4 @@
 "use strict";
-const tau = Math.PI * 2;
-
-function range(lo, hi, step) {
-    if (step === undefined) {
-        step = 1;
-    }
-    if (hi === undefined) {
-        hi = lo;
-        lo = 0;
-    }
-
-    return {
-        lo: lo,
-        hi: hi,
-        step: step,
-        pending: lo,
-        next: function() {
-            if (this.pending >= this.hi) {
-                return { done: true };
-            }
-            const value = this.pending;
-            this.pending += this.step;
-            return {
-                done: false,
-                value: value,
-            };
-        },
-        [Symbol.iterator]: function() {
-            return this;
-        },
-    }
-}
 
 // WEBGL HELPER STUFF ----------------------------------------------------------
 
@@ -176,11 +144,14 @@ class Shader {
         if (uniform.type === gl.FLOAT) {
             gl.uniform1f(uniform.loc, value);
         }
+        else if (uniform.type === gl.FLOAT_VEC2) {
+            gl.uniform2f(uniform.loc, ...value);
+        }
         else if (uniform.type === gl.FLOAT_VEC4) {
             gl.uniform4f(uniform.loc, ...value);
         }
         else if (uniform.type === gl.SAMPLER_2D) {
-            if (value.constructor !== Texture) {
+            if (value.constructor !== Texture && value.constructor !== FloatTexture) {
                 throw new Error("Expected a Texture");
             }
 
@@ -220,9 +191,68 @@ class Texture {
     }
 }
 
+// A texture holding one float per texel, for passing arbitrary data to a
+// shader.  Needs the OES_texture_float extension.  Sampled without any
+// filtering, so read it at texel centers
+class FloatTexture {
+    constructor(gl) {
+        this.gl = gl;
+        this.texture = gl.createTexture();
+
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    }
+
+    // values is a Float32Array, row by row, starting from the top (which is
+    // texture coordinate 0)
+    upload(width, height, values) {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, width, height, 0, gl.LUMINANCE, gl.FLOAT, values);
+    }
+}
+
+// Set up a shader's a_position attribute to draw the unit square as a triangle
+// strip, which is all we ever draw
+function bind_unit_square(gl, shader) {
+    // Create the position buffer, which we'll never need to change because
+    // it's just a flat rectangle
+    let positions = new Float32Array([
+        0, 0,
+        0, 1,
+        1, 0,
+        1, 1,
+    ]);
+    let position_buf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, position_buf);
+    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
+    // I don't know what this does!
+    gl.enableVertexAttribArray(shader.attributes['a_position'].loc);
+    // Bind the position buffer
+    gl.bindBuffer(gl.ARRAY_BUFFER, position_buf);
+    gl.vertexAttribPointer(shader.attributes['a_position'].loc, 2, gl.FLOAT, false, 0, 0)
+}
+
 
 // BASE WIPEPLAYER -------------------------------------------------------------
 
+// Ways to play a wipe.  The time slider always covers the whole playback, from
+// 0 to 1, so each of these maps that to how far along the wipe to show (before
+// easing), and says whether the before and after images trade places.
+// Ping-pong fits the round trip into the one pass, rather than keeping track
+// of which way it's going, so scrubbing and looping work the same as always.
+// recipe.js has its own list of these names, RECIPE_PLAY_MODES, to check
+// recipes against, so keep the two in step
+const PLAY_MODES = {
+    forward: { progress: t => t, swap: false },
+    backward: { progress: t => 1 - t, swap: false },
+    swap: { progress: t => t, swap: true },
+    'ping-pong': { progress: t => 1 - Math.abs(1 - t * 2), swap: false },
+};
+
 class WipePlayer {
     constructor(canvas, mask_canvas, before_canvas, after_canvas) {
         this.canvas = canvas;
@@ -237,6 +267,12 @@ class WipePlayer {
         this.t = 0;
         this.ramp = 4/256;
         this.duration = 2;
+        // Easing, as text for parse_easing and as a function.  If it's baked
+        // into the mask, playback is linear instead, so it's not applied twice
+        this.easing_text = 'linear';
+        this.easing = parse_easing(this.easing_text);
+        this.bake_easing = false;
+        this.mode = PLAY_MODES.forward;
 
         this.playing = false;
         this.loop = false;
@@ -286,15 +322,113 @@ class WipePlayer {
             }
         });
         this.halo_checkbox.addEventListener('input', e => {
-            this.halo_picker.disabled = ! this.halo_checkbox.checked;
-            if (this.halo_checkbox.checked) {
-                this.set_halo(this.halo_picker.value);
+            this.read_halo_controls();
+        });
+        this.read_halo_controls();
+
+        this.loop_checkbox = document.getElementById('knob-play-loop');
+        this.loop_checkbox.addEventListener('input', e => {
+            this.loop = e.target.checked;
+        });
+        this.loop = this.loop_checkbox.checked;
+
+        this.mode_select = document.getElementById('knob-play-mode');
+        this.mode_select.addEventListener('input', e => {
+            this.set_mode(e.target.value);
+        });
+        this.set_mode(this.mode_select.value);
+
+        this.easing_select = document.getElementById('knob-easing');
+        this.easing_curve_input = document.getElementById('knob-easing-curve');
+        this.easing_steps_input = document.getElementById('knob-easing-steps');
+        this.bake_easing_checkbox = document.getElementById('knob-bake-easing');
+        for (const control of [this.easing_select, this.easing_curve_input, this.easing_steps_input, this.bake_easing_checkbox]) {
+            control.addEventListener('input', e => {
+                this.read_easing_controls();
+            });
+        }
+        this.read_easing_controls();
+    }
+
+    _init() {
+    }
+
+    read_easing_controls() {
+        const kind = this.easing_select.value;
+        this.easing_curve_input.hidden = (kind !== 'cubic-bezier');
+        this.easing_steps_input.hidden = (kind !== 'steps');
+
+        let text = kind;
+        if (kind === 'cubic-bezier') {
+            text = `cubic-bezier(${this.easing_curve_input.value})`;
+        }
+        else if (kind === 'steps') {
+            text = `steps(${this.easing_steps_input.value})`;
+        }
+
+        // Half-typed curves are nonsense, so keep the old easing until it's
+        // fixed
+        const input = kind === 'steps' ? this.easing_steps_input : this.easing_curve_input;
+        try {
+            this.set_easing(text, this.bake_easing_checkbox.checked);
+            input.classList.remove('invalid');
+        }
+        catch (err) {
+            input.classList.add('invalid');
+        }
+    }
+
+    // Update the easing controls to match some easing text, which is assumed to
+    // be valid already
+    write_easing_controls(text) {
+        const match = text.trim().match(/^(cubic-bezier|steps)\((.*)\)$/);
+        if (match) {
+            this.easing_select.value = match[1];
+            if (match[1] === 'cubic-bezier') {
+                this.easing_curve_input.value = match[2];
             }
             else {
-                this.set_halo(null);
+                this.easing_steps_input.value = match[2];
             }
-        });
-        // FIXME Can we stop copy/pasting the event handlers
+        }
+        else {
+            this.easing_select.value = text.trim();
+        }
+        this.bake_easing_checkbox.checked = this.bake_easing;
+        this.read_easing_controls();
+    }
+
+    // Throws if the easing doesn't make sense
+    set_easing(text, bake) {
+        this.easing = parse_easing(text);
+        this.easing_text = text;
+        this.bake_easing = bake;
+        // Re-render with the new curve
+        this.set_time(this.t);
+    }
+
+    // The easing to bake into the mask, if any, as text
+    get_baked_easing() {
+        return this.bake_easing ? this.easing_text : null;
+    }
+
+    // How far along the mask to show at the current time
+    get eased_t() {
+        const progress = this.mode.progress(this.t);
+        return this.bake_easing ? progress : this.easing(progress);
+    }
+
+    // Sets the play mode, by its name in PLAY_MODES
+    set_mode(name) {
+        if (! PLAY_MODES[name]) {
+            throw new Error(`No such play mode: ${name}`);
+        }
+        this.mode_name = name;
+        this.mode = PLAY_MODES[name];
+        this.set_time(this.t);
+    }
+
+    read_halo_controls() {
         this.halo_picker.disabled = ! this.halo_checkbox.checked;
         if (this.halo_checkbox.checked) {
             this.set_halo(this.halo_picker.value);
@@ -302,15 +436,45 @@ class WipePlayer {
         else {
             this.set_halo(null);
         }
+    }
 
-        this.loop_checkbox = document.getElementById('knob-play-loop');
-        this.loop_checkbox.addEventListener('input', e => {
-            this.loop = e.target.checked;
-        });
-        this.loop = this.loop_checkbox.checked;
+    // Returns the playback knobs in recipe form
+    get_playback() {
+        return {
+            duration: parseInt(this.duration_slider.value, 10),
+            ramp: parseInt(this.ramp_slider.value, 10),
+            halo: this.halo_checkbox.checked ? this.halo_picker.value : null,
+            loop: this.loop,
+            mode: this.mode_name,
+            easing: this.easing_text,
+            bake_easing: this.bake_easing,
+        };
     }
 
-    _init() {
+    // Sets the playback knobs from recipe form, updating the controls too
+    set_playback(playback) {
+        this.duration_slider.value = String(playback.duration);
+        this.set_duration(playback.duration);
+
+        this.ramp_slider.value = String(playback.ramp);
+        this.set_ramp(playback.ramp);
+
+        this.halo_checkbox.checked = (playback.halo != null);
+        if (playback.halo != null) {
+            this.halo_picker.value = playback.halo;
+        }
+        this.read_halo_controls();
+
+        this.loop_checkbox.checked = playback.loop;
+        this.loop = playback.loop;
+
+        this.set_mode(playback.mode);
+        this.mode_select.value = playback.mode;
+
+        // Check it first, so a bad one doesn't mess up the controls
+        parse_easing(playback.easing);
+        this.bake_easing = playback.bake_easing;
+        this.write_easing_controls(playback.easing);
     }
 
     play() {
@@ -372,6 +536,13 @@ class WipePlayer {
         this.schedule_render();
     }
 
+    // Resize the output canvas, e.g. to match a new mask
+    resize(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.schedule_render();
+    }
+
     schedule_render() {
         if (this.scheduled || this.playing)
             return;
@@ -412,22 +583,7 @@ class WipePlayerGL extends WipePlayer {
         this.gl = gl;
         this.shader = new Shader(gl, vertex_shader_source, fragment_shader_source);
 
-        // Create the position buffer, which we'll never need to change because
-        // it's just a flat rectangle
-        let positions = new Float32Array([
-            0, 0,
-            0, 1,
-            1, 0,
-            1, 1,
-        ]);
-        let position_buf = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, position_buf);
-        gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
-        // I don't know what this does!
-        gl.enableVertexAttribArray(this.shader.attributes['a_position'].loc);
-        // Bind the position buffer
-        gl.bindBuffer(gl.ARRAY_BUFFER, position_buf);
-        gl.vertexAttribPointer(this.shader.attributes['a_position'].loc, 2, gl.FLOAT, false, 0, 0)
+        bind_unit_square(gl, this.shader);
 
         // Wrap the canvases in textures
         this.mask_texture = new Texture(gl, this.mask_canvas);
@@ -440,14 +596,23 @@ class WipePlayerGL extends WipePlayer {
 
         gl.useProgram(this.shader.program);
         this.shader.send('mask', this.mask_texture);
-        this.shader.send('before', this.before_texture);
-        this.shader.send('after', this.after_texture);
         //this.shader.send('halo_color', [255/255, 137/255, 178/255, 1]);
     }
 
+    resize(width, height) {
+        super.resize(width, height);
+        this.gl.viewport(0, 0, width, height);
+    }
+
     set_time(t) {
         super.set_time(t);
-        this.shader.send('t', this.t);
+        this.shader.send('t', this.eased_t);
+    }
+
+    set_mode(name) {
+        super.set_mode(name);
+        this.shader.send('before', this.mode.swap ? this.after_texture : this.before_texture);
+        this.shader.send('after', this.mode.swap ? this.before_texture : this.after_texture);
     }
 
     set_ramp(ramp) {
@@ -492,6 +657,18 @@ function lerp(t, a, b) {
     return (1 - t) * a + t * b;
 }
 
+// Same as alpha_composite in the shader, for 8-bit RGBA arrays: puts the color
+// at top[ti] over bottom[bi], and writes the result to out[i].  The top's alpha
+// is given separately, from 0 to 1, so it can be faded
+function alpha_composite_pixel(out, i, top, ti, top_alpha, bottom, bi) {
+    const bottom_alpha = bottom[bi + 3] / 255 * (1 - top_alpha);
+    const alpha = top_alpha + bottom_alpha;
+    for (let c = 0; c < 3; c++) {
+        out[i + c] = alpha > 0 ? (top[ti + c] * top_alpha + bottom[bi + c] * bottom_alpha) / alpha : 0;
+    }
+    out[i + 3] = alpha * 255;
+}
+
 class WipePlayerCanvas extends WipePlayer {
     constructor(...args) {
         super(...args);
@@ -503,588 +680,269 @@ class WipePlayerCanvas extends WipePlayer {
     render() {
         const width = this.canvas.width;
         const height = this.canvas.height;
-        const t = this.t * (1 + this.ramp * 2) - this.ramp;
+        const t = this.eased_t * (1 + this.ramp * 2) - this.ramp;
 
-        // Draw!  Fill the main canvas with the old image, then mask the new image on top
+        // Draw!  This is the same as the fragment shader, one pixel at a time
         let mask_pixels = this.mask_ctx.getImageData(0, 0, width, height);
 
-        const halo_color = [255, 137, 178];
+        const halo_color = this.halo_color;
 
         let out_pixels = this.ctx.getImageData(0, 0, width, height);
         const len = out_pixels.data.length;
         let pixels1 = this.before_canvas.getContext('2d').getImageData(0, 0, width, height);
         let pixels2 = this.after_canvas.getContext('2d').getImageData(0, 0, width, height);
+        if (this.mode.swap) {
+            [pixels1, pixels2] = [pixels2, pixels1];
+        }
 
+        const out = out_pixels.data;
+        const mask = mask_pixels.data;
         for (let i = 0; i < len; i += 4) {
-            let discriminator = mask_pixels.data[i] / 255;
-            let alpha = clamp((t - discriminator) / this.ramp + 0.5, 0, 1);
-            // FIXME probably do a real alpha composite, especially for the top (makes less sense for bottom)
-            /*
-            out_pixels.data[i + 0] = lerp(alpha, pixels1.data[i + 0], pixels2.data[i + 0]);
-            out_pixels.data[i + 1] = lerp(alpha, pixels1.data[i + 1], pixels2.data[i + 1]);
-            out_pixels.data[i + 2] = lerp(alpha, pixels1.data[i + 2], pixels2.data[i + 2]);
-            out_pixels.data[i + 3] = 255;
-            continue;
-            */
-
-            // FIXME make alpha optional
-            // Compute the alpha of the halo such that it's 1.0 when the
-            // discriminator matches exactly, and 0.0 just at the end of the ramp
-            let halo_alpha = clamp(1.0 - Math.abs(t - discriminator) / this.ramp, 0, 1);
-
-            if (alpha <= 0) {
-                // Full before
-                out_pixels.data[i + 0] = pixels1.data[i + 0];
-                out_pixels.data[i + 1] = pixels1.data[i + 1];
-                out_pixels.data[i + 2] = pixels1.data[i + 2];
-                out_pixels.data[i + 3] = pixels1.data[i + 3];
-            }
-            else if (alpha >= 1) {
-                // Full after
-                out_pixels.data[i + 0] = pixels2.data[i + 0];
-                out_pixels.data[i + 1] = pixels2.data[i + 1];
-                out_pixels.data[i + 2] = pixels2.data[i + 2];
-                out_pixels.data[i + 3] = pixels2.data[i + 3];
-            }
-            else if (alpha < 0.5) {
-                // Before, but with the halo color on top
-                out_pixels.data[i + 0] = lerp(halo_alpha, pixels1.data[i + 0], halo_color[0]);
-                out_pixels.data[i + 1] = lerp(halo_alpha, pixels1.data[i + 1], halo_color[1]);
-                out_pixels.data[i + 2] = lerp(halo_alpha, pixels1.data[i + 2], halo_color[2]);
-                out_pixels.data[i + 3] = 255;
+            // Read all 24 bits of the mask
+            const discriminator = (mask[i] + mask[i + 1] / 256 + mask[i + 2] / 65536) / 255;
+            if (halo_color === null) {
+                // Fade the after image in on top of the before image
+                const alpha = clamp((t - discriminator) / this.ramp + 0.5, 0, 1);
+                alpha_composite_pixel(out, i, pixels2.data, i, pixels2.data[i + 3] / 255 * alpha, pixels1.data, i);
             }
             else {
-                // After, but with the halo color on top
-                out_pixels.data[i + 0] = lerp(halo_alpha, pixels2.data[i + 0], halo_color[0]);
-                out_pixels.data[i + 1] = lerp(halo_alpha, pixels2.data[i + 1], halo_color[1]);
-                out_pixels.data[i + 2] = lerp(halo_alpha, pixels2.data[i + 2], halo_color[2]);
-                out_pixels.data[i + 3] = 255;
+                // Compute the alpha of the halo such that it's 1.0 when the
+                // discriminator matches exactly, and 0.0 just at the end of the
+                // ramp, then put it on top of whichever image is showing
+                const halo_alpha = clamp(1.0 - Math.abs(t - discriminator) / this.ramp, 0, 1);
+                const under = t < discriminator ? pixels1.data : pixels2.data;
+                alpha_composite_pixel(out, i, halo_color, 0, halo_alpha, under, i);
             }
         }
         this.ctx.putImageData(out_pixels, 0, 0);
     }
 }
 
+// WEBGL MASK GENERATION -------------------------------------------------------
 
-// A "pattern" is the order in which the wipe's cells are revealed.  Each cell
-// is associated with a "step", which is an integer starting from zero.  The
-// maximum step is given by the max_step() method.
-// One of the simplest patterns is the "row" pattern, where each row is
-// revealed in order; therefore each cell's step is simply its row index, and
-// the max step is one less than the number of rows.
-// Note that it's possible to query cells OUTSIDE the grid, in which case the
-// resulting step might be less than zero or more than the max step.  This can
-// happen if the particle may start outside the mask and expand into it.  Only
-// the immediate outer border is allowed to be queried this way.
-class PatternGenerator {
-    constructor(row_ct, column_ct) {
-        this.row_ct = row_ct;
-        this.column_ct = column_ct;
-    }
-
-    get max_step() {
-        const max_step = this._get_max_step();
-        // Overwrite the getter with a regular property
-        Object.defineProperty(this, 'max_step', { value: max_step });
-        return max_step;
-    }
+// This is the fill loop from generate_particle_wipe_mask, as a shader.  The
+// stamp and the grid of cell steps come in as float textures.
+const mask_fragment_shader_source = `
+    precision highp float;
 
-    _get_max_step() {
-        throw new Error("Must define _get_max_step");
-    }
+    uniform sampler2D stamp;
+    uniform sampler2D steps;
+    uniform vec2 stamp_size;
+    // Number of columns and rows
+    uniform vec2 grid_size;
+    // Width and height of a cell, in pixels
+    uniform vec2 cell_size;
+    uniform float delay;
+    uniform float max_scale;
+    uniform float total_time;
 
-    cell(r, c) {
-        throw new Error("Must define cell");
+    float step_at(float column, float row) {
+        return texture2D(steps, (vec2(column, row) + 0.5) / grid_size).r;
     }
-}
 
-class RowPattern extends PatternGenerator {
-    constructor(row_ct, column_ct, droop) {
-        super(row_ct, column_ct);
+    void main() {
+        // Nothing here is flipped, so row 0 is the bottom of the framebuffer,
+        // which is also row 0 when we read it back
+        vec2 pixel = floor(gl_FragCoord.xy);
+        // Nudge to the pixel's center first, since division might be done by
+        // multiplying by a reciprocal, and 120 * (1/40) isn't quite 3
+        vec2 cell = floor((pixel + 0.5) / cell_size);
+        vec2 offset = pixel - cell * cell_size;
+        float step = step_at(cell.x, cell.y);
+
+        float scale = 1e30;
+        for (int drow = 0; drow < 3; drow++) {
+            // As on the CPU, skip cells off the edge of the board
+            float srow = cell.y + 1.0 - float(drow);
+            if (srow < 0.0 || srow >= grid_size.y) {
+                continue;
+            }
 
-        this.range = Math.ceil(droop * this.row_ct);
-        this.offsets = [];
-        for (let c = 0; c < this.column_ct + 2; c++) {
-            this.offsets.push(Math.floor(Math.random() * this.range));
-        }
-    }
-    _get_max_step() {
-        return this.row_ct - 1 + this.range;
-    }
-    cell(r, c) {
-        return r + this.offsets[c + 1];
-    }
-}
-class ColumnPattern extends PatternGenerator {
-    constructor(row_ct, column_ct, droop) {
-        super(row_ct, column_ct);
+            for (int dcol = 0; dcol < 3; dcol++) {
+                float scol = cell.x + 1.0 - float(dcol);
+                if (scol < 0.0 || scol >= grid_size.x) {
+                    continue;
+                }
 
-        this.range = Math.ceil(droop * this.column_ct);
-        this.offsets = [];
-        for (let r = 0; r < this.row_ct + 2; r++) {
-            this.offsets.push(Math.floor(Math.random() * this.range));
+                vec2 stamp_pixel = offset + cell_size * vec2(float(dcol), float(drow));
+                float candidate = texture2D(stamp, (stamp_pixel + 0.5) / stamp_size).r;
+                candidate += (step_at(scol, srow) - step) * delay * max_scale;
+                scale = min(scale, candidate);
+            }
         }
-    }
-    _get_max_step() {
-        return this.column_ct - 1 + this.range;
-    }
-    cell(r, c) {
-        return c + this.offsets[r + 1];
-    }
-}
-// FIXME support droop i guess?
-class DiagonalPattern extends PatternGenerator {
-    _get_max_step() {
-        return this.row_ct - 1 + this.column_ct - 1;
-    }
-    cell(r, c) {
-        return r + c;
-    }
-}
-
-// Helper for some of the patterns that come in from both directions at once.
-// Given n (say, a row index) and count (say, the number of rows), returns the
-// distance from the nearest edge.
-function reflect(n, count) {
-    const midpoint = count / 2;
-    if (n < midpoint) {
-        return n;
-    }
-    else {
-        return count - 1 - n;
-    }
-}
-// Largest step you can get by reflecting
-// FIXME not sure this is right for reflecting spiral
-function reflect_max(count) {
-    return Math.floor(count / 2 - 0.5);
-}
-
-class RowCurtainPattern extends PatternGenerator {
-    _get_max_step() {
-        return this.row_ct - 1 + reflect_max(this.column_ct);
-    }
-    cell(r, c) {
-        return r + reflect(c, this.column_ct);
-    }
-}
-class ColumnCurtainPattern extends PatternGenerator {
-    _get_max_step() {
-        return this.column_ct - 1 + reflect_max(this.row_ct);
-    }
-
-    cell(r, c) {
-        return c + reflect(r, this.row_ct);
-    }
-}
-// This doesn't entirely make sense, but for the sake of completion...
-class DiagonalCurtainPattern extends PatternGenerator {
-    _get_max_step() {
-        return Math.min(this.row_ct, this.column_ct) - 1;
-    }
-
-    cell(r, c) {
-        return Math.min(r, c);
-    }
-}
-
-class RowShutterPattern extends PatternGenerator {
-    _get_max_step() {
-        return reflect_max(this.row_ct);
-    }
-    cell(r, c) {
-        return reflect(r, this.row_ct);
-    }
-}
-class ColumnShutterPattern extends PatternGenerator {
-    _get_max_step() {
-        return reflect_max(this.column_ct);
-    }
-
-    cell(r, c) {
-        return reflect(c, this.column_ct);
-    }
-}
-class MainDiagonalShutterPattern extends PatternGenerator {
-    _get_max_step() {
-        return reflect_max(this.row_ct + this.column_ct);
-    }
 
-    cell(r, c) {
-        return reflect(r + c, this.row_ct + this.column_ct);
+        // Pack into 24 bits, same as the CPU does.  Clamp first, or anything
+        // out of range would leave garbage in the lower bytes
+        float time = (step * delay + scale / max_scale) / total_time;
+        float value = clamp(time, 0.0, 1.0 - 1.0 / 16777216.0) * 256.0;
+        float r = floor(value);
+        value = fract(value) * 256.0;
+        float g = floor(value);
+        value = fract(value) * 256.0;
+        float b = floor(value);
+        gl_FragColor = vec4(r, g, b, 255.0) / 255.0;
     }
-}
+`;
 
-class DiamondPattern extends PatternGenerator {
-    _get_max_step() {
-        return reflect_max(this.row_ct) + reflect_max(this.column_ct);
-    }
+// How far off the GPU's mask is allowed to be from the CPU's, as a fraction of
+// the full range.  Shaders only promise 32-bit floats at best, and the GPU is
+// free to cut corners on rounding, so the lowest bits won't always match.
+const GPU_MASK_TOLERANCE = 1 / 4096;
+
+// Size of the masks check_gpu_everywhere makes; big enough for several pixels
+// per cell, small enough that the CPU gets through them all in reasonable time
+const GPU_CHECK_WIDTH = 320;
+const GPU_CHECK_HEIGHT = 180;
+// Wrappers to try each pattern under, plus none at all
+const GPU_CHECK_WRAPPERS = {
+    interlace: { interlace: 3 },
+    reflect: { reflect: true },
+    'reverse+mirror+flip': { reverse: true, mirror: true, flip: true },
+};
 
-    cell(r, c) {
-        return reflect(r, this.row_ct) + reflect(c, this.column_ct);
-    }
-}
-class BoxPattern extends PatternGenerator {
-    _get_max_step() {
-        return Math.min(reflect_max(this.row_ct), reflect_max(this.column_ct));
-    }
+// Yields [label, settings] for every pattern, with every choice of its extra
+// controls, under each of GPU_CHECK_WRAPPERS.  Square cells only, since that's
+// all the GPU does
+function* gpu_check_settings() {
+    // A small gradient, so the image pattern has something to look at
+    let image = { width: 8, height: 8, data: new Uint8ClampedArray(8 * 8 * 4) };
+    for (let i = 0; i < 64; i++) {
+        image.data.set([i * 4, i * 4, i * 4, 255], i * 4);
+    }
+    const base = Object.assign({}, DEFAULT_RECIPE.settings, {
+        seed: 1,
+        droop: 0.25,
+        angle: 0.1,
+        spread: 0.5,
+        'seed-delay': 2,
+        'pattern-image': encode_pattern_image(image),
+        'custom-steps': '0, 1, 2\n3, 4, 5\n6, 7, 8',
+    });
 
-    cell(r, c) {
-        return Math.min(reflect(r, this.row_ct), reflect(c, this.column_ct));
-    }
-}
+    for (const [pattern, generator_def] of Object.entries(PATTERN_GENERATORS)) {
+        // Every combination of the extra controls that leads to a generator
+        let variants = [[{ pattern: pattern }, generator_def.generator]];
+        for (const key of generator_def.extra_controls || []) {
+            variants = variants.flatMap(([choices, tree]) => Object.keys(tree).map(
+                value => [Object.assign({}, choices, { [key]: value }), tree[value]]));
+        }
 
-class SpiralPattern extends PatternGenerator {
-    constructor(row_ct, column_ct, fill_delay, spiral_ct, arm_ct, angle) {
-        super(row_ct, column_ct);
-        this.fill_delay = fill_delay;
-        this.spiral_ct = spiral_ct;
-        this.arm_ct = arm_ct;
-        this.angle = angle;  // in turns, 0–1!
-
-        // Overall radius of the grid
-        // TODO should this be the diagonal?
-        this.radius = Math.max(this.row_ct, this.column_ct) / 2;
-
-        // Width of each spiral (i.e. spacing between them), measured in cells
-        this.spiral_width = this.radius / this.spiral_ct;
-
-        // Cells spread outwards from the spiral, but the spiral will
-        // eventually wrap around again and start spreading cells back inwards.
-        // This is the meeting point (in fractions of a spiral) between
-        // outwards and inwards growing cells
-        this.fill_meet = (1 + 1 / this.fill_delay) / 2;
-
-        // Steps are normally integers, counting each cell that appears in
-        // order.  But this relies on a bunch of trig, so the results aren't
-        // integers.  Try our best, though, by scaling up by the circumference
-        // of a spiral with half the maximum radius.
-        this.scale = this.radius / 2 * tau;
-    }
-
-    _get_max_step() {
-        // The furthest away we can get is along a diagonal
-        const dx = this.column_ct / 2 - 1/2;
-        const dy = this.row_ct / 2 - 1/2;
-        const d = Math.sqrt(dx*dx + dy*dy) / this.spiral_width;
-
-        // The math for which corner has the greatest pixel is a little ugly,
-        // so, fuck it; let's just try all four corners and pick the max.  In
-        // practice, this is shockingly accurate, usually over by ~1% and very
-        // rarely under by less than a percent (usually < 0.1%).
-        let base_angle = (Math.atan2(dy, dx) + tau) % (tau / 4);
-        const calc = angle => {
-            let offset = (angle * this.arm_ct / tau - this.angle + 1) % 1;
-            // If the corner we're sampling is past the meet point, we should
-            // back up and use the meet point instead, since it's brighter
-            let d2 = d;
-            if (d < offset) {
-                // Ah, my old nemesis, the innermost spiral
-                if (d > offset * this.fill_meet) {
-                    d2 = offset * this.fill_meet;
-                }
-            }
-            else {
-                const rem = (d - offset) % 1;
-                if (rem > this.fill_meet) {
-                    d2 = d - rem + this.fill_meet;
-                }
-            }
-            return this._calc(d2, angle);
-        };
-        return Math.max(
-            calc(base_angle),
-            calc(tau/2 - base_angle),
-            calc(base_angle + tau/2),
-            calc(tau - base_angle));
-    }
-
-    _calc(d, theta) {
-        theta = (theta * this.arm_ct + tau * (2 - this.angle)) % tau;
-        // How far out spirals start at this angle, in fractions of a spiral (0 to 1)
-        const offset = theta / tau;
-
-        let d2 = d - offset;
-        // Nearest spiral, and the distance from it
-        let nearest_spiral = Math.floor(d2 + 1 - this.fill_meet);
-        let dist_to_spiral = Math.abs(nearest_spiral - d2);
-        // How far along the spiral this point is, in revolutions
-        let t = nearest_spiral + offset;
-        // If we're inside the innermost spiral, the distance from here to the
-        // center is smaller than the distance between spirals normally is, so
-        // adjust accordingly
-        if (d < offset) {
-            if (d < offset * this.fill_meet) {
-                // We're so close to the center that angle is irrelevant
-                t = 0;
-                dist_to_spiral = d;
-            }
-            else {
-                // Outer spiral is closer than the origin
-                dist_to_spiral = offset - d;
+        for (const [choices] of variants) {
+            const name = Object.values(choices).join(' ');
+            yield [name, Object.assign({}, base, choices)];
+            for (const [wrapper_name, wrapper] of Object.entries(GPU_CHECK_WRAPPERS)) {
+                yield [`${name}, ${wrapper_name}`, Object.assign({}, base, choices, wrapper)];
             }
         }
-
-        // The spiral itself is the main counter here, and cells between the
-        // spiral's arms are filled in outwards, with fill_delay being the time
-        // (in full spirals) it takes to spread from one arm to the next
-        return this.scale * (t + dist_to_spiral * this.fill_delay);
-    }
-
-    cell(r, c) {
-        const w = this.spiral_width;
-
-        // Coordinates of this cell's center, in grid cells, relative to center
-        const x = (c + 0.5) - (this.column_ct / 2);
-        const y = (r + 0.5) - (this.row_ct / 2);
-        // Distance this cell is from the center, in spiral widths (which are
-        // themselves still measured in grid cells)
-        let d = Math.sqrt(x*x + y*y) / w;
-
-        // Flip y because it points down (since this is an image) but
-        // Math.atan2 thinks it points up
-        return this._calc(d, Math.atan2(-y, x));
     }
 }
 
-// FIXME should this try to enforce that cells aren't left to grow until they hit a wall?  or should i make the generator smarter and willing to keep looking (!)
-class RandomPattern extends PatternGenerator {
-    constructor(...args) {
-        super(...args);
-
-        const range = this.max_step;
-        this.cells = [];
-        for (let r = 0; r < this.row_ct + 2; r++) {
-            let row = [];
-            for (let c = 0; c < this.column_ct + 2; c++) {
-                row.push(Math.floor(Math.random() * range));
-            }
-            this.cells.push(row);
+// Does the same job as generate_particle_wipe_mask, but with the per-pixel part
+// done in a fragment shader.  The stamp is still built on the CPU.  Creating
+// one of these throws if WebGL can't do the job, in which case use the CPU.
+class MaskGeneratorGL {
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        const gl = this.canvas.getContext('webgl', { antialias: false, premultipliedAlpha: false });
+        if (! gl) {
+            throw new Error("WebGL isn't available");
+        }
+        if (! gl.getExtension('OES_texture_float')) {
+            throw new Error("WebGL doesn't support float textures here");
+        }
+        if (gl.getShaderPrecisionFormat(gl.FRAGMENT_SHADER, gl.HIGH_FLOAT).precision === 0) {
+            throw new Error("WebGL doesn't support high-precision fragment shaders here");
         }
-    }
 
-    _get_max_step() {
-        // FIXME probably oughta be configurable and based on the number of cells
-        return 16;
+        this.gl = gl;
+        this.shader = new Shader(gl, vertex_shader_source, mask_fragment_shader_source);
+        bind_unit_square(gl, this.shader);
+        this.stamp_texture = new FloatTexture(gl);
+        this.steps_texture = new FloatTexture(gl);
     }
 
-    cell(r, c) {
-        return this.cells[r + 1][c + 1];
-    }
-}
+    // Same arguments and return value as generate_particle_wipe_mask, minus
+    // the progress callback, since this is quick
+    generate(particle, mask, row_ct, column_ct, delay, generator, easing) {
+        const gl = this.gl;
+        const width = mask.width;
+        const height = mask.height;
+        const column_width = Math.ceil(width / column_ct);
+        const row_height = Math.ceil(height / row_ct);
+
+        const max_texture_size = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        const max_viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        if (column_width * 3 > max_texture_size || row_height * 3 > max_texture_size
+            || width > max_viewport[0] || height > max_viewport[1])
+        {
+            throw new Error("Mask is too big for this GPU");
+        }
 
-class InfectPattern extends PatternGenerator {
-    constructor(...args) {
-        super(...args);
+        // The shader only knows how square cells overlap, so hexes and bricks
+        // are left to the CPU
+        if (generator.cell_grid instanceof HexGrid) {
+            throw new Error("The GPU can only do square grids");
+        }
 
-        // FIXME configurable?
-        const density = 1/32;
-
-        // Generate an empty grid
-        this.cells = [];
-        for (let r = 0; r < this.row_ct + 2; r++) {
-            this.cells.push(new Array(this.column_ct + 2));
-        }
-
-        // Pick some seed cells
-        const cell_ct = this.row_ct * this.column_ct;
-        const num_seeds = Math.ceil(density * cell_ct);
-        let seen = {};
-        let next_round = [];
-        for (const i of range(num_seeds)) {
-            // FIXME avoid infinite loop here i guess
-            let n = Math.floor(Math.random() * cell_ct);
-            while (seen[n]) {
-                n = Math.floor(Math.random() * cell_ct);
-            }
-            seen[n] = true;
-
-            const r = Math.floor(n / this.column_ct);
-            const c = n % this.column_ct;
-            this.cells[r + 1][c + 1] = 0;
-            next_round.push([r - 1, c]);
-            next_round.push([r + 1, c]);
-            next_round.push([r, c - 1]);
-            next_round.push([r, c + 1]);
-        }
-        console.log("seeds:", next_round);
-
-        // Floodfill!
-        let step = 1;
-        while (next_round.length > 0) {
-            let this_round = next_round;
-            next_round = [];
-            for (const [r, c] of this_round) {
-                if (r < -1 || r > this.row_ct || c < -1 || c > this.column_ct) {
-                    continue;
-                }
-                if (this.cells[r + 1][c + 1] !== undefined) {
-                    continue;
-                }
+        const stamp = build_particle_stamp(particle, column_width, row_height);
 
-                this.cells[r + 1][c + 1] = step;
-                next_round.push([r - 1, c]);
-                next_round.push([r + 1, c]);
-                next_round.push([r, c - 1]);
-                next_round.push([r, c + 1]);
+        let steps = new Float32Array(row_ct * column_ct);
+        for (let r = 0; r < row_ct; r++) {
+            for (let c = 0; c < column_ct; c++) {
+                steps[r * column_ct + c] = generator.cell(r, c);
             }
-
-            step++;
         }
 
-        Object.defineProperty(this, 'max_step', { value: step - 1 });
-    }
-
-    _get_max_step() {
-        // Not used; calculated dynamically in constructor
-        throw new Error("_get_max_step is unused for InfectPattern");
-    }
-
-    cell(r, c) {
-        return this.cells[r + 1][c + 1];
-    }
-}
+        let min_step = Infinity;
+        let max_step = -Infinity;
+        for (const step of steps) {
+            min_step = Math.min(min_step, step);
+            max_step = Math.max(max_step, step);
+        }
 
-// Wrappers that can apply to any type of generator
-class PatternWrapper {
-    constructor(pattern) {
-        this.wrapped = pattern;
-        this.row_ct = pattern.row_ct;
-        this.column_ct = pattern.column_ct;
-        this.max_step = pattern.max_step;
-    }
-}
-class PatternInterlaced extends PatternWrapper {
-    constructor(pattern, stride) {
-        super(pattern);
-        this.stride = stride;
-    }
-    cell(r, c) {
-        const step = this.wrapped.cell(r, c);
-        const stride = this.stride;
-        return (
-            // Division clusters them together, so the first steps are the
-            // first items from each cluster
-            Math.floor(step / stride)
-            // Each item in a cluster is offset by the total number of steps it
-            // takes to run through each cluster once
-            + Math.floor(this.max_step / stride) * (step % stride)
-            // If the span doesn't evenly divide into clusters, then the last
-            // cluster is shorter than the others, so it'll be skipped on later
-            // runs; or in other words, earlier runs have a longer stride
-            + Math.min(step % stride, (this.max_step + 1) % stride)
-        );
-    }
-}
-class PatternReversed extends PatternWrapper {
-    cell(r, c) {
-        return this.max_step - this.wrapped.cell(r, c);
-    }
-}
-class PatternMirrored extends PatternWrapper {
-    cell(r, c) {
-        return this.wrapped.cell(r, this.column_ct - c - 1);
-    }
-}
-class PatternFlipped extends PatternWrapper {
-    cell(r, c) {
-        return this.wrapped.cell(this.row_ct - r - 1, c);
-    }
-}
-class PatternReflected extends PatternWrapper {
-    constructor(pattern) {
-        super(pattern);
-        this.max_step = reflect_max(this.wrapped.max_step + 1);
-    }
-    cell(r, c) {
-        return reflect(this.wrapped.cell(r, c), this.wrapped.max_step + 1);
-    }
-}
+        // We don't know the real total time until we've seen every pixel, but
+        // no pixel can take longer than its own particle does to fill its own
+        // cell, so use that to pack the first pass, then fix it up below
+        const total_time = max_step * delay + 1;
 
+        this.canvas.width = width;
+        this.canvas.height = height;
+        gl.viewport(0, 0, width, height);
 
+        gl.useProgram(this.shader.program);
+        this.stamp_texture.upload(stamp.width, stamp.height, stamp.scales);
+        this.steps_texture.upload(column_ct, row_ct, steps);
+        this.shader.send('stamp', this.stamp_texture);
+        this.shader.send('steps', this.steps_texture);
+        this.shader.send('stamp_size', [stamp.width, stamp.height]);
+        this.shader.send('grid_size', [column_ct, row_ct]);
+        this.shader.send('cell_size', [column_width, row_height]);
+        this.shader.send('delay', delay);
+        this.shader.send('max_scale', stamp.max_scale);
+        this.shader.send('total_time', total_time);
 
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
 
-// Note that some of the patterns as exposed in the UI map to several pattern
-// generator types, depending on other settings.  This maps UI patterns to the
-// controls they rely on, and how those controls affect the choice and
-// configuration of generator.
-const PATTERN_GENERATORS = {
-    // "Wipe" is a straight wipe across in one of the four cardinal directions
-    // TODO hmm, arbitrary angle wipes or curtains?
-    wipe: {
-        extra_controls: ['direction'],
-        extra_args: ['droop'],
-        generator: {
-            row: RowPattern,
-            column: ColumnPattern,
-            diagonal: DiagonalPattern,
-        },
-    },
-    // "Curtain" expands from two adjacent corners in one of the four cardinal
-    // directions; if downwards, it looks like stage curtains closing
-    curtain: {
-        extra_controls: ['direction'],
-        generator: {
-            row: RowCurtainPattern,
-            column: ColumnCurtainPattern,
-            diagonal: DiagonalCurtainPattern,
-        },
-    },
-    // "Shutter" closes from two opposite corners or sides
-    shutter: {
-        extra_controls: ['direction'],
-        generator: {
-            row: RowShutterPattern,
-            column: ColumnShutterPattern,
-            diagonal: MainDiagonalShutterPattern,
-            // There is no off-diagonal pattern, since you can just mirror/flip
-            // the diagonal one
-        },
-    },
-    // "Diamond" closes from all four corners at once
-    diamond: {
-        generator: DiamondPattern,
-    },
-    // "Box" closes from all four edges at once
-    box: {
-        generator: BoxPattern,
-    },
-    // "Spiral" is a cool spiral from the center
-    spiral: {
-        generator: SpiralPattern,
-        extra_args: ['fill-delay', 'loops', 'arms', 'angle'],
-    },
-    // "Random" is, well, random
-    random: {
-        generator: RandomPattern,
-    },
-    // "Infect" starts like random, but the cells grow outwards from their
-    // starting places
-    infect: {
-        generator: InfectPattern,
-    },
-    // TODO pinch?  like, > <
-    // TODO sliding in rows from opposite sides
-    // TODO radial sweep?
-    // TODO random splatters?  not really grid-based at all huh
-    // TODO shapes sliding across?  also not really grid-based
-}
+        let pixels = new Uint8Array(width * height * 4);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
 
-function generate_cell_pattern(rows, cols, pattern_generator) {
-    let pattern = [];
-    let step_ct = 0;
-    for (let r = 0; r < rows; r++) {
-        pattern.push(new Array(cols));
-        for (let c = 0; c < cols; c++) {
-            let step = pattern_generator(r, c, rows, cols);
-            pattern[r][c] = step;
+        // Unpack back into times and let the CPU do the final packing, so it
+        // matches generate_particle_wipe_mask exactly
+        let times = mask_times_view(mask);
+        for (let i = 0; i < times.length; i++) {
+            const p = i * 4;
+            times[i] = (pixels[p] + pixels[p + 1] / 256 + pixels[p + 2] / 65536) / 256 * total_time;
         }
-        step_ct = Math.max(step_ct, ...pattern[r]);
+        return pack_mask_times(mask, {
+            claimed_max_step: generator.max_step,
+            min_step: min_step,
+            max_step: max_step,
+            delay: delay,
+        }, easing);
     }
-
-    return [pattern, step_ct];
 }
 
+
 const PRESET_PARTICLES = {
     diamond(ctx, w, h) {
         ctx.moveTo(0, h/2);
@@ -1143,13 +1001,8 @@ const PRESET_PARTICLES = {
         }
     },
 
-    text(ctx, w, h) {
-        // FIXME do this /before/ clearing the canvas, doofus
-        const letter = prompt("Enter a character:");
-        console.log(letter);
-        if (! letter) {
-            return;
-        }
+    // Takes an extra argument, the text to draw
+    text(ctx, w, h, letter) {
         ctx.font = `${h * 0.8}px sans-serif`;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'alphabetic';
@@ -1217,6 +1070,9 @@ function inject_file_support(canvas, callback) {
     });
 }
 
+// Longest side of the preview canvas
+const PREVIEW_SIZE = 384;
+
 class GeneratorView {
     constructor(container, mask_canvas) {
         this.container = container;
@@ -1226,30 +1082,60 @@ class GeneratorView {
         // Map of controls, keyed by the names they use in this.settings
         this.controls = {};
 
+        this.mask_canvas = mask_canvas;
         this.particle_canvas = document.getElementById('particle-canvas');
+        // Where the particle came from, in the same form as a recipe uses:
+        // either a preset (and maybe text), or an image, which we don't
+        // bother encoding until someone asks for it
+        this.particle_source = null;
+        // The player, set by init; needed for the easing, if it's baked in
+        this.player = null;
         this.preview_canvas = document.getElementById('preview');
         this.preview_ctx = this.preview_canvas.getContext('2d');
 
         inject_file_support(this.particle_canvas, (bitmap, canvas) => {
-            canvas.width = bitmap.width;
-            canvas.height = bitmap.height;
-            let ctx = canvas.getContext('2d');
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            this.draw_particle_image(bitmap);
         });
 
         // Bind some required controls
         this.bind_control('control-rows', 'rows');
         this.bind_control('control-cols', 'columns');
+        this.bind_control('control-layout', 'layout');
+        this.bind_control('control-stagger', 'stagger');
         this.bind_control('control-delay', 'delay');
         this.bind_control('control-pattern', 'pattern');
         // And optional ones
         this.bind_control('control-direction', 'direction', true);
         this.bind_control('control-angle', 'angle', true);
         this.bind_control('control-droop', 'droop', true);
+        this.bind_control('control-band-size', 'band-size', true);
         this.bind_control('control-fill-delay', 'fill-delay', true);
         this.bind_control('control-loops', 'loops', true);
         this.bind_control('control-arms', 'arms', true);
+        this.bind_control('control-foci', 'foci', true);
+        this.bind_control('control-ellipse', 'ellipse', true);
+        this.bind_control('control-seed-count', 'seed-count', true);
+        this.bind_control('control-seed-delay', 'seed-delay', true);
+        this.bind_control('control-metric', 'metric', true);
+        this.bind_control('control-counterclockwise', 'counterclockwise', true);
+        this.bind_control('control-falloff', 'falloff', true);
+        this.bind_control('control-center-x', 'center-x', true);
+        this.bind_control('control-center-y', 'center-y', true);
+        this.bind_control('control-step-range', 'step-range', true);
+        this.bind_control('control-density', 'density', true);
+        this.bind_control('control-neighbors', 'neighbors', true);
+        this.bind_control('control-spread', 'spread', true);
+        this.bind_control('control-noise-scale', 'noise-scale', true);
+        this.bind_control('control-octaves', 'octaves', true);
+        this.bind_control('control-bias', 'bias', true);
+        this.bind_control('control-seed', 'seed', true);
+        this.bind_control('control-pattern-image', 'pattern-image', true);
+        this.bind_control('control-image-channel', 'image-channel', true);
+        this.bind_control('control-image-invert', 'image-invert', true);
+        this.bind_control('control-image-contrast', 'image-contrast', true);
+        this.bind_control('control-image-gamma', 'image-gamma', true);
+        this.bind_control('control-image-levels', 'image-levels', true);
+        this.bind_control('control-custom-steps', 'custom-steps', true);
         // And generic ones
         // TODO maybe these should be hidden for symmetric ones where they don't apply?
         this.bind_control('control-interlace', 'interlace');
@@ -1258,6 +1144,60 @@ class GeneratorView {
         this.bind_control('control-mirror', 'mirror');
         this.bind_control('control-flip', 'flip');
 
+        // Start out with a random seed, much like we always used to
+        let seed_control = this.controls['seed'].control;
+        if (seed_control.value === '') {
+            seed_control.value = String(random_seed());
+        }
+        document.getElementById('control-reroll').addEventListener('click', event => {
+            this.set_setting('seed', random_seed());
+            this.update_preview();
+        });
+
+        // The image pattern's image is only kept as a thumbnail, in the settings
+        this.pattern_image_canvas = document.getElementById('pattern-image-canvas');
+        inject_file_support(this.pattern_image_canvas, (bitmap, canvas) => {
+            this.load_pattern_image(bitmap);
+        });
+
+        // Step grids can be loaded from a file, for the custom pattern...
+        let steps_uploader = document.getElementById('control-steps-file');
+        document.getElementById('control-load-steps').addEventListener('click', event => {
+            steps_uploader.click();
+        });
+        steps_uploader.addEventListener('change', async event => {
+            const file = event.target.files[0];
+            if (! file) {
+                return;
+            }
+            steps_uploader.value = '';
+
+            try {
+                this.load_step_grid(await read_step_grid_file(file));
+            }
+            catch (err) {
+                console.error(err);
+                alert(`Couldn't load that step grid: ${err.message}`);
+            }
+        });
+        // ...and saved from any pattern
+        document.getElementById('control-save-steps-csv').addEventListener('click', event => {
+            const csv = step_grid_to_csv(this.get_step_grid());
+            download_blob(new Blob([csv], { type: 'text/csv' }), 'wipe-steps.csv');
+        });
+        document.getElementById('control-save-steps-json').addEventListener('click', event => {
+            const json = step_grid_to_json(this.get_step_grid());
+            download_blob(new Blob([json], { type: 'application/json' }), 'wipe-steps.json');
+        });
+        document.getElementById('control-save-steps-png').addEventListener('click', event => {
+            const image = step_grid_to_image(this.get_step_grid());
+            let canvas = document.createElement('canvas');
+            canvas.width = image.width;
+            canvas.height = image.height;
+            canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+            canvas.toBlob(blob => download_blob(blob, 'wipe-steps.png'), 'image/png');
+        });
+
         // Read in the current values of all the controls
         for (const control_def of Object.values(this.controls)) {
             this.read_control(control_def.control);
@@ -1277,18 +1217,115 @@ class GeneratorView {
         // And of course, bind the button
         this.generate_button = document.getElementById('control-generate');
         this.generate_button.addEventListener('click', event => {
-            generate_particle_wipe_mask(this.particle_canvas, mask_canvas, this.settings.rows, this.settings.columns, this.settings.delay, this.get_generator());
+            this.generate();
         });
+        // Generating happens in a worker when possible, in which case it can
+        // show progress, and be cancelled
+        this.generation_job = null;
+        this.progress_container = document.getElementById('generate-progress');
+        this.progress_bar = this.progress_container.querySelector('progress');
+        this.stats_output = document.getElementById('generate-stats');
+        document.getElementById('control-cancel-generate').addEventListener('click', event => {
+            this.cancel_generation();
+        });
+        // Or on the GPU, which is much faster, but needs a few WebGL features.
+        // The GPU generator is created on first use; null means it failed
+        this.gpu_generator = undefined;
+        this.use_gpu_checkbox = document.getElementById('control-use-gpu');
+        // Debugging aid: also run the CPU after the GPU, and compare
+        this.check_gpu_after_generating = new URLSearchParams(location.search).has('check-gpu');
+
+        // The output resolution isn't part of the pattern, so it doesn't live
+        // in this.settings; the mask canvas's size is the source of truth
+        this.resolution_select = document.getElementById('control-resolution');
+        this.width_input = document.getElementById('control-width');
+        this.height_input = document.getElementById('control-height');
+        this.resolution_select.addEventListener('input', event => {
+            const value = this.resolution_select.value;
+            if (value === 'custom') {
+                // Nothing to do until they actually type something
+                return;
+            }
+            const [width, height] = value.split('x').map(n => parseInt(n, 10));
+            this.set_resolution(width, height);
+        });
+        for (const input of [this.width_input, this.height_input]) {
+            input.addEventListener('change', event => {
+                const width = parseInt(this.width_input.value, 10);
+                const height = parseInt(this.height_input.value, 10);
+                try {
+                    this.set_resolution(width, height);
+                }
+                catch (err) {
+                    // Nonsense; put the old numbers back
+                    this.update_resolution_controls();
+                }
+            });
+        }
+        this.update_resolution_controls();
+        this.resize_preview();
+
+        this.painter = new CellPainter(this);
+
+        // Patterns with focal points can have them placed by clicking on the
+        // preview (unless it's being painted on, of course); shift-click adds
+        // another one instead of moving the only one
+        this.preview_canvas.addEventListener('pointerdown', event => {
+            if (this.painter.enabled || event.button !== 0 || ! this.controls['foci']) {
+                return;
+            }
+            const generator_def = PATTERN_GENERATORS[this.settings.pattern];
+            if (! generator_def || (generator_def.extra_args || []).indexOf('foci') < 0) {
+                return;
+            }
+            event.preventDefault();
+
+            const rect = this.preview_canvas.getBoundingClientRect();
+            let x = (event.clientX - rect.left) / rect.width;
+            let y = (event.clientY - rect.top) / rect.height;
+            // Mirror and flip apply on top, so undo them to land where clicked
+            if (this.settings.mirror) {
+                x = 1 - x;
+            }
+            if (this.settings.flip) {
+                y = 1 - y;
+            }
+            const point = [Math.round(x * 1000) / 1000, Math.round(y * 1000) / 1000];
+
+            let points = [];
+            const random_seeds = (generator_def.extra_args.indexOf('seed-count') >= 0 && this.settings['seed-count'] > 0);
+            if (event.shiftKey && random_seeds) {
+                // Keep the random seeds where they are, and add to them.  Their
+                // delays are rolled by index, so those stay put too
+                points = this.get_preview_foci().map(([x, y]) => [Math.round(x * 1000) / 1000, Math.round(y * 1000) / 1000]);
+            }
+            else if (event.shiftKey) {
+                try {
+                    points = parse_points(this.settings.foci);
+                }
+                catch (err) {
+                    // Whatever's there is garbage anyway, so start over
+                }
+            }
+            points.push(point);
+
+            this.set_setting('foci', format_points(points));
+            // Placing seeds by hand means not wanting random ones
+            if (random_seeds) {
+                this.set_setting('seed-count', 0);
+            }
+            this.update_preview();
+            this.generate_button.classList.add('dirty');
+            // This also gets the permalink updated
+            this.controls['foci'].control.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+    }
+
+    // Register our interest in a control and do some stuff to it
+    bind_control(id, attr, is_optional) {
+        let control = document.getElementById(id);
+        control.setAttribute('data-attr', attr);
 
-        // TODO finish, this
-        //this.generate_button.classList.add('dirty');
-    }
-
-    // Register our interest in a control and do some stuff to it
-    bind_control(id, attr, is_optional) {
-        let control = document.getElementById(id);
-        control.setAttribute('data-attr', attr);
-
         if (control.type === 'range') {
             let label = document.createElement('output');
             label.className = 'range-label';
@@ -1303,6 +1340,8 @@ class GeneratorView {
         control.addEventListener('input', event => {
             this.read_control(control);
             this.update_preview();
+            // The mask is out of date until it's generated again
+            this.generate_button.classList.add('dirty');
         });
     }
 
@@ -1314,6 +1353,9 @@ class GeneratorView {
             label.textContent = value;
             value = parseFloat(value);
         }
+        else if (control.type === 'number') {
+            value = parseInt(value, 10) || 0;
+        }
         else if (control.type === 'checkbox') {
             value = control.checked;
         }
@@ -1343,74 +1385,432 @@ class GeneratorView {
                 this.controls[control_key].control.parentNode.previousElementSibling.classList.remove('hidden');
             }
         }
+        // Likewise, stagger only applies to bricks
+        else if (attr === 'layout' && this.controls['stagger']) {
+            this.controls['stagger'].control.parentNode.previousElementSibling.classList.toggle('hidden', ! value.startsWith('brick-'));
+        }
+        else if (attr === 'pattern-image') {
+            this.draw_pattern_image_thumbnail();
+        }
+    }
+
+    // Programmatically change a setting and its control.  Doesn't redraw the
+    // preview, since you probably want to change several at once
+    set_setting(attr, value) {
+        const control_def = this.controls[attr];
+        if (! control_def) {
+            throw new Error(`No such setting: ${attr}`);
+        }
+
+        const control = control_def.control;
+        if (control.type === 'checkbox') {
+            control.checked = Boolean(value);
+        }
+        else {
+            control.value = String(value);
+        }
+        this.read_control(control);
     }
 
-    draw_preset_particle(shape) {
+    // Draw a preset particle.  The text preset takes the text to draw, and
+    // will prompt for it if not given
+    draw_preset_particle(shape, text) {
         const draw = PRESET_PARTICLES[shape];
         if (! draw) {
             return;
         }
 
+        if (shape === 'text' && ! text) {
+            text = prompt("Enter a character:");
+            if (! text) {
+                return;
+            }
+        }
+
         const ctx = this.particle_canvas.getContext('2d');
         const w = this.particle_canvas.width;
         const h = this.particle_canvas.height;
         ctx.save();
         ctx.clearRect(0, 0, w, h);
         ctx.beginPath();
-        draw(ctx, w, h);
+        draw(ctx, w, h, text);
         ctx.closePath();
         ctx.fill();
         ctx.restore();
+
+        this.particle_source = { preset: shape };
+        if (shape === 'text') {
+            this.particle_source.text = text;
+        }
     }
 
-    get_generator() {
-        const pattern_type = this.settings.pattern;
-        const generator_def = PATTERN_GENERATORS[pattern_type];
-        let generator_tree = generator_def.generator;
+    // Use an arbitrary image (anything drawImage takes) as the particle
+    draw_particle_image(image) {
+        const canvas = this.particle_canvas;
+        canvas.width = image.width;
+        canvas.height = image.height;
+        let ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
 
-        for (const key of generator_def.extra_controls || []) {
-            const value = this.settings[key];
-            generator_tree = generator_tree[value];
-            if (! generator_tree) {
-                throw new Error(`Can't find a generator for ${key} = ${value}`);
+        this.particle_source = { image: null };
+    }
+
+    // Use an image (or bitmap, or canvas) for the image pattern
+    load_pattern_image(image) {
+        // The thumbnail is tiny, so there's no sense reading back a huge image
+        // only to average most of it away; four pixels per thumbnail pixel is
+        // enough to smooth it out
+        const scale = Math.min(1, PATTERN_IMAGE_SIZE * 2 / Math.max(image.width, image.height));
+        let canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+        let ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        this.set_setting('pattern', 'image');
+        this.set_setting('pattern-image', encode_pattern_image(ctx.getImageData(0, 0, canvas.width, canvas.height)));
+        this.update_preview();
+        this.generate_button.classList.add('dirty');
+        // This also gets the permalink updated
+        this.controls['pattern-image'].control.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    draw_pattern_image_thumbnail() {
+        let canvas = this.pattern_image_canvas;
+        let ctx = canvas.getContext('2d');
+        let image;
+        try {
+            image = decode_pattern_image(this.settings['pattern-image']);
+        }
+        catch (err) {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            return;
+        }
+
+        canvas.width = image.width;
+        canvas.height = image.height;
+        let pixels = ctx.createImageData(image.width, image.height);
+        for (let t = 0; t < image.width * image.height; t++) {
+            pixels.data[t * 4 + 0] = image.luma[t];
+            pixels.data[t * 4 + 1] = image.luma[t];
+            pixels.data[t * 4 + 2] = image.luma[t];
+            pixels.data[t * 4 + 3] = image.alpha[t];
+        }
+        ctx.putImageData(pixels, 0, 0);
+    }
+
+    // Returns the particle in recipe form.  Encoding a custom image is a bit
+    // expensive, so it can be skipped by passing false, in which case the image
+    // will be null
+    get_particle_source(embed_image = true) {
+        if (this.particle_source && this.particle_source.preset) {
+            return Object.assign({}, this.particle_source);
+        }
+        if (! embed_image) {
+            return { image: null };
+        }
+        return { image: this.particle_canvas.toDataURL('image/png') };
+    }
+
+    // Change the size of the generated mask.  The old mask doesn't make any
+    // sense at a new size, so it's blanked out until the next generate
+    set_resolution(width, height) {
+        if (! (Number.isInteger(width) && width > 0 && width <= MAX_RESOLUTION
+            && Number.isInteger(height) && height > 0 && height <= MAX_RESOLUTION))
+        {
+            throw new Error(`Resolution should be whole numbers from 1 to ${MAX_RESOLUTION}, not ${width}×${height}`);
+        }
+
+        const canvas = this.mask_canvas;
+        if (width === canvas.width && height === canvas.height) {
+            this.update_resolution_controls();
+            return;
+        }
+
+        // Anything in progress is for the wrong size now
+        this.cancel_generation();
+
+        canvas.width = width;
+        canvas.height = height;
+        let ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'black';
+        ctx.fillRect(0, 0, width, height);
+        this.generate_button.classList.add('dirty');
+
+        this.update_resolution_controls();
+        this.resize_preview();
+        this.update_preview();
+
+        canvas.dispatchEvent(new Event('_resized'));
+        canvas.dispatchEvent(new Event('_updated'));
+    }
+
+    // Make the resolution controls reflect the mask's current size
+    update_resolution_controls() {
+        const width = this.mask_canvas.width;
+        const height = this.mask_canvas.height;
+        this.width_input.value = String(width);
+        this.height_input.value = String(height);
+
+        const preset = `${width}x${height}`;
+        let found = false;
+        for (const option of this.resolution_select.options) {
+            if (option.value === preset) {
+                found = true;
             }
         }
+        this.resolution_select.value = found ? preset : 'custom';
+    }
+
+    // Give the preview the same aspect ratio as the mask, fitting it in a
+    // square box
+    resize_preview() {
+        const width = this.mask_canvas.width;
+        const height = this.mask_canvas.height;
+        if (width >= height) {
+            this.preview_canvas.width = PREVIEW_SIZE;
+            this.preview_canvas.height = Math.max(1, Math.round(PREVIEW_SIZE * height / width));
+        }
+        else {
+            this.preview_canvas.width = Math.max(1, Math.round(PREVIEW_SIZE * width / height));
+            this.preview_canvas.height = PREVIEW_SIZE;
+        }
+    }
+
+    // Generate the mask, in a worker if possible.  Returns a promise, which
+    // resolves to true once the mask is updated, or false if it was cancelled
+    // (including by starting another generation)
+    async generate() {
+        this.cancel_generation();
 
-        let extra_args = [];
-        for (const key of generator_def.extra_args || []) {
-            const value = this.settings[key];
-            extra_args.push(value);
+        const settings = Object.assign({}, this.settings);
+        try {
+            build_pattern_generator(settings);
+        }
+        catch (err) {
+            alert(`Can't generate with these settings: ${err.message}`);
+            return false;
+        }
+        this.generate_button.classList.remove('dirty');
+
+        const started = performance.now();
+        const width = this.mask_canvas.width;
+        const height = this.mask_canvas.height;
+        const easing = this.player ? this.player.get_baked_easing() : null;
+        const particle_ctx = this.particle_canvas.getContext('2d');
+        const particle_pixels = particle_ctx.getImageData(0, 0, this.particle_canvas.width, this.particle_canvas.height);
+
+        if (this.use_gpu_checkbox.checked && this.get_gpu_generator()) {
+            let mask = new ImageData(width, height);
+            let stats;
+            try {
+                stats = this.gpu_generator.generate(particle_pixels, mask, settings.rows, settings.columns, settings.delay, build_pattern_generator(settings), easing);
+            }
+            catch (err) {
+                console.warn("Couldn't generate on the GPU, so using the CPU instead:", err);
+                mask = null;
+            }
+
+            if (mask) {
+                this.mask_canvas.getContext('2d').putImageData(mask, 0, 0);
+                this.mask_canvas.dispatchEvent(new Event('_updated'));
+                this.show_stats(stats, started);
+                if (this.check_gpu_after_generating) {
+                    this.check_gpu(particle_pixels, mask, settings, easing);
+                }
+                return true;
+            }
+        }
+
+        this.progress_bar.value = 0;
+        this.progress_container.classList.add('visible');
+        const job = start_mask_worker(particle_pixels, width, height, settings, easing, fraction => {
+            this.progress_bar.value = fraction;
+        });
+        this.generation_job = job;
+
+        let result;
+        try {
+            result = await job.promise;
+        }
+        catch (err) {
+            if (this.generation_job !== job) {
+                return false;
+            }
+            this.generation_job = null;
+            this.progress_container.classList.remove('visible');
+
+            // Workers don't work everywhere -- notably, Chrome won't start one
+            // from a file:// page -- so fall back to the slow, freezy way
+            console.warn("Couldn't generate in a worker, so doing it on the main thread instead:", err);
+            this.show_stats(generate_particle_wipe_mask_canvas(this.particle_canvas, this.mask_canvas, settings.rows, settings.columns, settings.delay, build_pattern_generator(settings), easing), started);
+            return true;
+        }
+
+        if (this.generation_job !== job) {
+            return false;
+        }
+        this.generation_job = null;
+        this.progress_container.classList.remove('visible');
+        if (! result) {
+            return false;
         }
 
-        let generator = new generator_tree(this.settings.rows, this.settings.columns, ...extra_args);
+        this.mask_canvas.getContext('2d').putImageData(result.mask, 0, 0);
+        this.mask_canvas.dispatchEvent(new Event('_updated'));
+        this.show_stats(result.stats, started);
+        return true;
+    }
+
+    // Explain how long the wipe actually takes, from the stats returned by
+    // generate_particle_wipe_mask.  Times are in units of how long one particle
+    // takes to fill its cell.  started is when generating began, from
+    // performance.now()
+    show_stats(stats, started) {
+        let text = `Steps ${format_number(stats.min_step)}–${format_number(stats.max_step)}; `
+            + `the last pixel appears at ${format_number(stats.max_time)}, `
+            + `versus ${format_number(stats.estimated_time)} if cells didn't help each other out; `
+            + `generated in ${format_number((performance.now() - started) / 1000)}s`;
+        if (stats.max_step > stats.claimed_max_step) {
+            text = `⚠️ This pattern claims to stop at step ${format_number(stats.claimed_max_step)}, but doesn't!  ` + text;
+        }
+        this.stats_output.textContent = text;
+    }
 
-        // Apply wrappers, if appropriate
-        // TODO when does interlace apply?
-        if (this.settings.interlace > 1) {
-            generator = new PatternInterlaced(generator, this.settings.interlace);
+    // Returns the GPU generator, creating it if necessary, or null if the GPU
+    // can't do it (in which case the checkbox is disabled, too)
+    get_gpu_generator() {
+        if (this.gpu_generator === undefined) {
+            try {
+                this.gpu_generator = new MaskGeneratorGL();
+            }
+            catch (err) {
+                console.warn("Can't generate masks on the GPU:", err);
+                this.gpu_generator = null;
+                this.use_gpu_checkbox.checked = false;
+                this.use_gpu_checkbox.disabled = true;
+                this.use_gpu_checkbox.parentNode.title = `Not available here: ${err.message}`;
+            }
         }
-        // Note that reflect must happen before reverse, or the steps will be symmetrical and reverse will be lost
-        if (this.settings.reflect) {
-            generator = new PatternReflected(generator);
+        return this.gpu_generator;
+    }
+
+    // Generate the same mask on the CPU, and compare against what the GPU made.
+    // Slow!  Returns the biggest difference, and complains if it's too big
+    check_gpu(particle_pixels, gpu_mask, settings, easing) {
+        let cpu_mask = new ImageData(gpu_mask.width, gpu_mask.height);
+        generate_particle_wipe_mask(particle_pixels, cpu_mask, settings.rows, settings.columns, settings.delay, build_pattern_generator(settings), null, easing);
+        const difference = compare_masks(cpu_mask, gpu_mask);
+        if (difference > GPU_MASK_TOLERANCE) {
+            console.error("GPU mask DOESN'T match the CPU; biggest difference is", difference, "with tolerance", GPU_MASK_TOLERANCE);
         }
-        if (this.settings.reverse) {
-            generator = new PatternReversed(generator);
+        return difference;
+    }
+
+    // Run check_gpu on every pattern, with and without wrappers (see
+    // gpu_check_settings), using the current particle.  Results go in a <pre>
+    // at the bottom of the page, and the totals in the title, so this can run
+    // headless; see the ?check-gpu=all bit in init().  Resolves to the number
+    // of failures
+    async check_gpu_everywhere() {
+        let output = document.createElement('pre');
+        output.id = 'gpu-check-results';
+        document.body.append(output);
+        const report = line => {
+            output.textContent += line + '\n';
+        };
+
+        const gpu_generator = this.get_gpu_generator();
+        if (! gpu_generator) {
+            report(`FAIL: ${this.use_gpu_checkbox.parentNode.title}`);
+            document.title = "GPU check: unavailable";
+            return 1;
         }
-        if (this.settings.mirror) {
-            generator = new PatternMirrored(generator);
+
+        const particle_pixels = this.particle_canvas.getContext('2d').getImageData(0, 0, this.particle_canvas.width, this.particle_canvas.height);
+        let pass_ct = 0;
+        let fail_ct = 0;
+        for (const [label, settings] of gpu_check_settings()) {
+            let mask = new ImageData(GPU_CHECK_WIDTH, GPU_CHECK_HEIGHT);
+            let difference;
+            try {
+                gpu_generator.generate(particle_pixels, mask, settings.rows, settings.columns, settings.delay, build_pattern_generator(settings), null);
+                difference = this.check_gpu(particle_pixels, mask, settings, null);
+            }
+            catch (err) {
+                report(`FAIL ${label}: ${err.message}`);
+                fail_ct++;
+                continue;
+            }
+
+            if (difference <= GPU_MASK_TOLERANCE) {
+                report(`ok   ${label}: ${difference}`);
+                pass_ct++;
+            }
+            else {
+                report(`FAIL ${label}: ${difference}, more than ${GPU_MASK_TOLERANCE}`);
+                fail_ct++;
+            }
+            await next_tick();
         }
-        if (this.settings.flip) {
-            generator = new PatternFlipped(generator);
+
+        document.title = `GPU check: ${pass_ct} passed, ${fail_ct} failed`;
+        return fail_ct;
+    }
+
+    cancel_generation() {
+        if (! this.generation_job) {
+            return;
         }
 
-        return generator;
+        this.generation_job.cancel();
+        this.generation_job = null;
+        this.progress_container.classList.remove('visible');
+        // The mask is now older than the settings, again
+        this.generate_button.classList.add('dirty');
+    }
+
+    get_generator() {
+        return build_pattern_generator(this.settings);
+    }
+
+    // Returns the current pattern, wrappers and all, as a step grid
+    get_step_grid() {
+        return step_grid_from_generator(this.get_generator(), this.settings.rows, this.settings.columns);
+    }
+
+    // Switch to the custom pattern, using the given step grid, and match the
+    // rows and columns to it
+    load_step_grid(grid) {
+        if (! grid.length) {
+            throw new Error("The step grid is empty");
+        }
+        this.set_setting('pattern', 'custom');
+        this.set_setting('custom-steps', step_grid_to_csv(grid).trimEnd());
+        this.set_setting('rows', grid.length);
+        this.set_setting('columns', grid[0].length);
+        this.update_preview();
+        this.generate_button.classList.add('dirty');
     }
 
     update_preview() {
         const rows = this.settings.rows;
         const cols = this.settings.columns;
 
-        const generator = this.get_generator();
+        // Settings like the custom step grid can be typed in, so they may well
+        // be nonsense at the moment
+        let generator;
+        try {
+            generator = this.get_generator();
+        }
+        catch (err) {
+            this.preview_canvas.classList.add('invalid');
+            this.preview_canvas.title = err.message;
+            return;
+        }
+        this.preview_canvas.classList.remove('invalid');
+        this.preview_canvas.title = '';
         const max_step = generator.max_step;
 
         const width = this.preview_canvas.width;
@@ -1419,6 +1819,13 @@ class GeneratorView {
         const cell_height = height / rows;
         let ctx = this.preview_ctx;
 
+        // This includes bricks
+        if (generator.cell_grid instanceof HexGrid) {
+            this.draw_preview_pixels(generator);
+            this.draw_preview_foci();
+            return;
+        }
+
         for (let r = 0; r < rows; r++) {
             for (let c = 0; c < cols; c++) {
                 const value = generator.cell(r, c) / max_step;
@@ -1438,330 +1845,878 @@ class GeneratorView {
         for (let c = 1; c < cols; c++) {
             ctx.fillRect(Math.floor(cell_width * c), 0, 1, height);
         }
+
+        this.draw_preview_foci();
     }
-}
 
-// Raycast from a point on the edge of an image towards its center, and return
-// the distance travelled, as a fraction of the distance between the entry
-// point and the center.
-function raycast_to_opaque_pixel(entry_x, entry_y, width, height, pixeldata) {
-    "use strict";
-    let x0 = entry_x;
-    let y0 = entry_y;
-    let x1 = width / 2;
-    let y1 = height / 2;
-
-    let dx = x1 - x0;
-    let dy = y1 - y0;
-
-    let a = Math.floor(x0)
-    let b = Math.floor(y0)
-
-    if (dx === 0 && dy === 0) {
-        // Special case: this is a single pixel
-        return [a, b];
-    }
-
-    // Use a modified Bresenham.  Use mirroring to move everything into the
-    // first quadrant, then split it into two octants depending on whether dx
-    // or dy increases faster, and call that the main axis.  Track an "error"
-    // value, which is the (negative) distance between the ray and the next
-    // grid line parallel to the main axis, but scaled up by dx.  Every
-    // iteration, we move one cell along the main axis and increase the error
-    // value by dy (the ray's slope, scaled up by dx); when it becomes
-    // positive, we can subtract dx (1) and move one cell along the minor axis
-    // as well.  Since the main axis is the faster one, we'll never traverse
-    // more than one cell on the minor axis for one cell on the main axis, and
-    // this readily provides every cell the ray hits in order.
-    // Based on: http://www.idav.ucdavis.edu/education/GraphicsNotes/Bresenhams-Algorithm/Bresenhams-Algorithm.html
-
-    // Setup: map to the first quadrant.  The "offsets" are the distance
-    // between the starting point and the next grid point.
-    let step_a = 1;
-    let offset_x = 1 - (x0 - a);
-    if (dx < 0) {
-        dx = -dx;
-        step_a = -step_a;
-        offset_x = 1 - offset_x;
-    }
-    // Zero offset means we're on a grid line, so we're actually a full cell
-    // away from the next grid line
-    if (offset_x === 0) {
-        offset_x = 1;
-    }
-
-    let step_b = 1;
-    let offset_y = 1 - (y0 - b);
-    if (dy < 0) {
-        dy = -dy;
-        step_b = -step_b;
-        offset_y = 1 - offset_y;
-    }
-    if (offset_y === 0) {
-        offset_y = 1;
-    }
-
-    let err = dy * offset_x - dx * offset_y;
-
-    let min_x = Math.floor(Math.min(x0, x1));
-    let max_x = Math.floor(Math.max(x0, x1));
-    let min_y = Math.floor(Math.min(y0, y1));
-    let max_y = Math.floor(Math.max(y0, y1));
-
-    // Shared code to check whether the current (a, b) pair is opaque, ish
-    function is_opaque() {
-        // If the image is N pixels wide and the entry point is on its right
-        // edge, then we start from pixel N, which is actually outside the
-        // image!  So, skip that.
-        if (a >= width || b >= height)
-            return false;
+    // Returns the focal points the current pattern is actually using, as
+    // fractions of the board, or an empty list if it doesn't have any
+    get_preview_foci() {
+        let generator;
+        try {
+            generator = this.get_generator();
+        }
+        catch (err) {
+            return [];
+        }
+        while (generator.wrapped) {
+            generator = generator.wrapped;
+        }
+        return generator.foci || [];
+    }
 
-        const alpha = pixeldata[(a + b * width) * 4 + 3];
-        // FIXME should interpolate cleverly using the alpha and the distance from the line and etc
-        return (alpha >= 128);
+    // Mark any focal points, so it's obvious what clicking will move
+    draw_preview_foci() {
+        const points = this.get_preview_foci();
+
+        const width = this.preview_canvas.width;
+        const height = this.preview_canvas.height;
+        let ctx = this.preview_ctx;
+        ctx.lineWidth = 1;
+        for (let [x, y] of points) {
+            if (this.settings.mirror) {
+                x = 1 - x;
+            }
+            if (this.settings.flip) {
+                y = 1 - y;
+            }
+            ctx.beginPath();
+            ctx.arc(x * width, y * height, 4, 0, Math.PI * 2);
+            ctx.fillStyle = '#e04040';
+            ctx.fill();
+            ctx.strokeStyle = 'white';
+            ctx.stroke();
+        }
     }
 
-    if (dx > dy) {
-        // Main axis is x/a
-        while (min_x <= a && a <= max_x && min_y <= b && b <= max_y) {
-            if (is_opaque())
-                break;
+    // Cells that aren't rectangles are easier to draw a pixel at a time, using
+    // the same cell lookup as the real mask
+    draw_preview_pixels(generator) {
+        const grid = generator.cell_grid;
+        const max_step = generator.max_step;
+        const width = this.preview_canvas.width;
+        const height = this.preview_canvas.height;
+        const cell_width = width / grid.column_ct;
+        const cell_height = height / grid.row_ct;
+
+        let pixels = this.preview_ctx.createImageData(width, height);
+        // Index of the cell in the previous row, to find the edges
+        let above = new Array(width);
+        let i = 0;
+        for (let y = 0; y < height; y++) {
+            let left = null;
+            for (let x = 0; x < width; x++, i += 4) {
+                const [r, c] = grid.cell_at((x + 0.5) / cell_width, (y + 0.5) / cell_height);
+                const index = r * grid.column_ct + c;
+                let value = generator.cell(r, c) / max_step * 255;
+                // Same faint gridlines as the rectangular preview
+                if ((left !== null && left !== index) || (y > 0 && above[x] !== index)) {
+                    value += (128 - value) * 32 / 255;
+                }
+                left = index;
+                above[x] = index;
 
-            if (err > 0) {
-                err -= dx;
-                b += step_b;
-                if (is_opaque())
-                    break;
+                pixels.data[i + 0] = value;
+                pixels.data[i + 1] = value;
+                pixels.data[i + 2] = value;
+                pixels.data[i + 3] = 255;
             }
-            err += dy;
-            a += step_a;
         }
+        this.preview_ctx.putImageData(pixels, 0, 0);
+    }
+}
+
+// CELL PAINTING ---------------------------------------------------------------
+
+// How many strokes to remember for undo
+const PAINT_UNDO_LIMIT = 100;
+
+// Lets you paint steps directly onto the preview, which turns the pattern into
+// a custom one (see CustomPattern).  The painting happens on the grid under
+// the wrappers, so interlace/reflect/reverse still apply on top; mirror and flip
+// are undone first, so you paint on the cell you actually clicked.
+class CellPainter {
+    constructor(view) {
+        this.view = view;
+        this.canvas = view.preview_canvas;
+
+        this.enabled_checkbox = document.getElementById('control-paint');
+        this.tools_container = document.querySelector('#generator .paint-tools');
+        this.step_input = document.getElementById('control-paint-step');
+        this.step_end_input = document.getElementById('control-paint-step-end');
+        this.undo_button = document.getElementById('control-paint-undo');
+        this.redo_button = document.getElementById('control-paint-redo');
+
+        // Each of these is a { pattern, steps } snapshot of the settings
+        this.undo_stack = [];
+        this.redo_stack = [];
+        // The stroke in progress, if any
+        this.stroke = null;
+
+        this.enabled_checkbox.addEventListener('change', event => {
+            this.update_tools();
+        });
+        for (const radio of this.tools_container.querySelectorAll('input[name=paint-tool]')) {
+            radio.addEventListener('change', event => {
+                this.update_tools();
+            });
+        }
+        this.update_tools();
+
+        this.undo_button.addEventListener('click', event => {
+            this.undo();
+        });
+        this.redo_button.addEventListener('click', event => {
+            this.redo();
+        });
+        document.addEventListener('keydown', event => {
+            if (! this.enabled || ! (event.ctrlKey || event.metaKey)) {
+                return;
+            }
+            // Leave text boxes their own undo
+            if (event.target.closest('input, textarea, select')) {
+                return;
+            }
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && ! event.shiftKey) {
+                this.undo();
+            }
+            else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                this.redo();
+            }
+            else {
+                return;
+            }
+            event.preventDefault();
+        });
+
+        this.canvas.addEventListener('pointerdown', event => {
+            if (! this.enabled || event.button !== 0) {
+                return;
+            }
+            event.preventDefault();
+            const cell = this.cell_at(event);
+
+            // Alt-click picks up a step instead, like an eyedropper
+            if (event.altKey) {
+                const grid = this.get_grid();
+                this.step_input.value = String(grid[cell[0]][cell[1]]);
+                return;
+            }
+
+            this.canvas.setPointerCapture(event.pointerId);
+            this.begin_stroke(cell);
+        });
+        this.canvas.addEventListener('pointermove', event => {
+            if (this.stroke) {
+                this.continue_stroke(this.cell_at(event));
+            }
+        });
+        this.canvas.addEventListener('pointerup', event => {
+            if (this.stroke) {
+                this.end_stroke();
+            }
+        });
+        this.canvas.addEventListener('pointercancel', event => {
+            if (this.stroke) {
+                this.end_stroke();
+            }
+        });
+    }
+
+    get enabled() {
+        return this.enabled_checkbox.checked;
+    }
+
+    get tool() {
+        return this.tools_container.querySelector('input[name=paint-tool]:checked').value;
+    }
+
+    update_tools() {
+        this.tools_container.classList.toggle('visible', this.enabled);
+        this.canvas.classList.toggle('painting', this.enabled);
+        this.tools_container.classList.toggle('gradient', this.tool === 'gradient');
+        this.undo_button.disabled = ! this.undo_stack.length;
+        this.redo_button.disabled = ! this.redo_stack.length;
+    }
+
+    // Find the [row, column] on the underlying grid under the pointer
+    cell_at(event) {
+        const settings = this.view.settings;
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) / rect.width;
+        const y = (event.clientY - rect.top) / rect.height;
+        let [r, c] = build_cell_grid(settings).cell_at(x * settings.columns, y * settings.rows);
+        if (settings.flip) {
+            r = settings.rows - 1 - r;
+        }
+        if (settings.mirror) {
+            c = settings.columns - 1 - c;
+        }
+        return [r, c];
+    }
+
+    // Returns the grid we're painting on, at the current size.  If the pattern
+    // isn't custom yet, that's the current pattern minus its wrappers, so it
+    // looks the same once the wrappers are put back on
+    get_grid() {
+        const settings = this.view.settings;
+        let base_settings = Object.assign({}, settings, {
+            interlace: 1,
+            reflect: false,
+            reverse: false,
+            mirror: false,
+            flip: false,
+        });
+        return step_grid_from_generator(build_pattern_generator(base_settings), settings.rows, settings.columns);
+    }
+
+    snapshot() {
+        return {
+            pattern: this.view.settings.pattern,
+            steps: this.view.settings['custom-steps'],
+        };
+    }
+
+    restore(snapshot) {
+        this.view.set_setting('pattern', snapshot.pattern);
+        this.view.set_setting('custom-steps', snapshot.steps);
+        this.commit();
+    }
+
+    // Tell everyone else the settings changed
+    commit() {
+        this.view.update_preview();
+        this.view.generate_button.classList.add('dirty');
+        // This also gets the permalink updated
+        this.view.controls['custom-steps'].control.dispatchEvent(new Event('input', { bubbles: true }));
+        this.update_tools();
+    }
+
+    show_grid(grid) {
+        if (this.view.settings.pattern !== 'custom') {
+            this.view.set_setting('pattern', 'custom');
+        }
+        this.view.set_setting('custom-steps', step_grid_to_csv(grid).trimEnd());
+        this.view.update_preview();
     }
-    else {
-        err = -err;
-        // Main axis is y/b
-        while (min_x <= a && a <= max_x && min_y <= b && b <= max_y) {
-            if (is_opaque())
-                break;
 
-            if (err > 0) {
-                err -= dy;
-                a += step_a;
-                if (is_opaque())
-                    break;
+    begin_stroke(cell) {
+        let grid;
+        try {
+            grid = this.get_grid();
+        }
+        catch (err) {
+            // Probably a custom grid with a typo in it
+            return;
+        }
+
+        this.stroke = {
+            before: this.snapshot(),
+            original: grid,
+            grid: grid.map(row => row.slice()),
+            start: cell,
+            last: cell,
+        };
+        this.continue_stroke(cell);
+    }
+
+    continue_stroke(cell) {
+        const stroke = this.stroke;
+        const step = parseFloat(this.step_input.value) || 0;
+        const tool = this.tool;
+        if (tool === 'brush') {
+            // Fill in any cells skipped over by a fast drag
+            const [r0, c0] = stroke.last;
+            const [r1, c1] = cell;
+            const distance = Math.max(Math.abs(r1 - r0), Math.abs(c1 - c0));
+            for (let i = 0; i <= distance; i++) {
+                const t = distance ? i / distance : 0;
+                stroke.grid[Math.round(lerp(t, r0, r1))][Math.round(lerp(t, c0, c1))] = step;
             }
-            err += dx;
-            b += step_b;
         }
+        else if (tool === 'fill') {
+            // Only happens once, on the first click
+            if (stroke.filled) {
+                return;
+            }
+            stroke.filled = true;
+            flood_fill_step_grid(stroke.grid, cell[0], cell[1], step);
+        }
+        else if (tool === 'gradient') {
+            // Starts over from the original on every move
+            const end_step = parseFloat(this.step_end_input.value) || 0;
+            stroke.grid = gradient_step_grid(stroke.original, stroke.start, cell, step, end_step);
+        }
+        stroke.last = cell;
+        this.show_grid(stroke.grid);
+    }
+
+    end_stroke() {
+        const stroke = this.stroke;
+        this.stroke = null;
+        // Don't bother remembering a stroke that didn't do anything
+        if (this.view.settings['custom-steps'] === stroke.before.steps && this.view.settings.pattern === stroke.before.pattern) {
+            return;
+        }
+
+        this.undo_stack.push(stroke.before);
+        if (this.undo_stack.length > PAINT_UNDO_LIMIT) {
+            this.undo_stack.shift();
+        }
+        this.redo_stack = [];
+        this.commit();
+    }
+
+    undo() {
+        if (this.stroke || ! this.undo_stack.length) {
+            return;
+        }
+        this.redo_stack.push(this.snapshot());
+        this.restore(this.undo_stack.pop());
     }
 
-    // Return how far along the ray we got, relative to the distance to the
-    // center.  (Dividing first saves us a square root.)
-    const dist_to_entry2 = dx * dx + dy * dy;
-    const dist_to_hit2 = Math.pow((a + 0.5) - x1, 2) + Math.pow((b + 0.5) - y1, 2);
-    return Math.sqrt(dist_to_entry2 / dist_to_hit2);
+    redo() {
+        if (this.stroke || ! this.redo_stack.length) {
+            return;
+        }
+        this.undo_stack.push(this.snapshot());
+        this.restore(this.redo_stack.pop());
+    }
 }
 
-// FIXME hey, if they only change the pattern/delay but not the stamp, there's no need to regenerate it...
-function generate_particle_wipe_mask(particle_canvas, out_canvas, row_ct, column_ct, delay, generator) {
-    "use strict";
-    const width = out_canvas.width;
-    const height = out_canvas.height;
-    const column_width = Math.ceil(width / column_ct);
-    const row_height = Math.ceil(height / row_ct);
+// Change the step of the cell at r, c, and every cell connected to it with the
+// same step, in place
+function flood_fill_step_grid(grid, r, c, step) {
+    const target = grid[r][c];
+    if (target === step) {
+        return;
+    }
 
-    const particle_width = particle_canvas.width;
-    const particle_height = particle_canvas.height;
+    let pending = [[r, c]];
+    while (pending.length) {
+        const [r, c] = pending.pop();
+        if (r < 0 || r >= grid.length || c < 0 || c >= grid[r].length || grid[r][c] !== target) {
+            continue;
+        }
+        grid[r][c] = step;
+        pending.push([r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]);
+    }
+}
+
+// Returns a new grid with a linear gradient from start_step at the start cell to
+// end_step at the end cell, running in that direction and constant across it.
+// Dragging nowhere just fills the whole grid with start_step.
+function gradient_step_grid(grid, start, end, start_step, end_step) {
+    const dr = end[0] - start[0];
+    const dc = end[1] - start[1];
+    const length2 = dr * dr + dc * dc;
+    return grid.map((row, r) => row.map((old_step, c) => {
+        if (length2 === 0) {
+            return start_step;
+        }
+        const t = clamp(((r - start[0]) * dr + (c - start[1]) * dc) / length2, 0, 1);
+        // Round off, or the CSV gets pretty ugly
+        return Math.round(lerp(t, start_step, end_step) * 1000) / 1000;
+    }));
+}
+
+// Run generate_particle_wipe_mask in mask-worker.js.  The particle's pixel
+// buffer is handed over to the worker, so don't use it afterwards.  Returns an
+// object with a promise, which resolves to { mask, stats } (an ImageData, and
+// whatever generate_particle_wipe_mask returned), or to null if cancelled; and
+// a cancel() method.  If the worker can't run at all, the
+// promise rejects.
+function start_mask_worker(particle_pixels, width, height, settings, easing, on_progress) {
+    let worker = null;
+    let settle = null;
+    let fail = null;
+    const promise = new Promise((resolve, reject) => {
+        settle = resolve;
+        fail = reject;
+    });
+
+    try {
+        worker = new Worker('mask-worker.js');
+    }
+    catch (err) {
+        fail(err);
+        return { promise: promise, cancel() {} };
+    }
+
+    worker.addEventListener('message', event => {
+        const message = event.data;
+        if (message.type === 'progress') {
+            on_progress(message.fraction);
+        }
+        else if (message.type === 'done') {
+            worker.terminate();
+            settle({ mask: message.mask, stats: message.stats });
+        }
+    });
+    worker.addEventListener('error', event => {
+        event.preventDefault();
+        worker.terminate();
+        fail(new Error(event.message || "Failed to load mask-worker.js"));
+    });
+    worker.postMessage({
+        particle: particle_pixels,
+        width: width,
+        height: height,
+        settings: settings,
+        easing: easing,
+    }, [particle_pixels.data.buffer]);
+
+    return {
+        promise: promise,
+        cancel() {
+            worker.terminate();
+            settle(null);
+        },
+    };
+}
+
+// Read a step grid from a File: an image, or else CSV or JSON text
+async function read_step_grid_file(file) {
+    if (! file.type.startsWith('image/')) {
+        return parse_step_grid(await file.text());
+    }
+
+    const bitmap = await createImageBitmap(file);
+    let canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    let ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    return step_grid_from_image(ctx.getImageData(0, 0, bitmap.width, bitmap.height));
+}
+
+// Canvas-flavored wrapper around generate_particle_wipe_mask, which only deals
+// in raw pixels.  Returns the same stats
+function generate_particle_wipe_mask_canvas(particle_canvas, out_canvas, row_ct, column_ct, delay, generator, easing) {
     let particle_ctx = particle_canvas.getContext('2d');
     let particle_pixels = particle_ctx.getImageData(0, 0, particle_canvas.width, particle_canvas.height);
 
-    // FIXME show the stamp!!
-    // Generate a stamp
-    let box_scales = [];
-    let max_scale = 0;
-    // Center of the stamp
-    const mid_x = column_width * 3 / 2;
-    const mid_y = row_height * 3 / 2;
-    // Center of the particle
-    const pcx = particle_width / 2;
-    const pcy = particle_height / 2;
-
-    for (let py = 0; py < row_height * 3; py++) {
-        let box_scale_row = [];
-        box_scales.push(box_scale_row);
-        for (let px = 0; px < column_width * 3; px++) {
-            // Consider the pixel as having been hit when its center is touched
-            const dx = (px + 0.5) - mid_x;
-            const dy = (py + 0.5) - mid_y;
-            // This is how big the particle would have to be to hit it
-            const size_x = Math.abs(dx * 2);
-            const size_y = Math.abs(dy * 2);
-            // This is the relative size of the particle at that point
-            // outer edge to touch the center of this pixel
-            const scale = Math.max(size_x / particle_width, size_y / particle_height);
-
-            if (scale === 0) {
-                // Special case: this is the exact center of the box, so it's the
-                // very first pixel to light.  This math will explode since the
-                // distance is zero, but we can call this a scale of zero and
-                // continue on.
-                box_scale_row.push(0);
-                continue;
-            }
+    let ctx = out_canvas.getContext('2d');
+    let pixels = ctx.getImageData(0, 0, out_canvas.width, out_canvas.height);
+    const stats = generate_particle_wipe_mask(particle_pixels, pixels, row_ct, column_ct, delay, generator, null, easing);
+    ctx.putImageData(pixels, 0, 0);
 
-            // Now find the point at which the expanding particle would touch
-            const ix = pcx + dx / scale;
-            const iy = pcy + dy / scale;
-            // And figure out how far into the particle that is
-            let hit_scale = raycast_to_opaque_pixel(ix, iy, particle_width, particle_height, particle_pixels.data);
-            // Thus, this is the minimum scale of the particle for it to reach us
-            const necessary_scale = scale * hit_scale;
-            box_scale_row.push(necessary_scale);
-        }
-
-        if (row_height <= py && py < row_height * 2) {
-            max_scale = Math.max(max_scale, ...box_scale_row.slice(column_width, column_width * 2));
-        }
-    }
-
-    let stamp_canvas = document.createElement('canvas');
-    stamp_canvas.width = column_width * 3;
-    stamp_canvas.height = row_height * 3;
-    let stamp_ctx = stamp_canvas.getContext('2d');
-    let stamp_pixels = stamp_ctx.getImageData(0, 0, stamp_canvas.width, stamp_canvas.height);
-    let q = 0;
-    for (let py = 0; py < row_height * 3; py++) {
-        for (let px = 0; px < column_width * 3; px++) {
-            const value = box_scales[py][px] / (max_scale * 3) * 255;
-            stamp_pixels.data[q] = value;
-            q++;
-            stamp_pixels.data[q] = value;
-            q++;
-            stamp_pixels.data[q] = value;
-            q++;
-            stamp_pixels.data[q] = 255;
-            q++;
-        }
-    }
-    stamp_ctx.putImageData(stamp_pixels, 0, 0);
-    // FIXME it would be cool to see this somewhere?
-    //document.body.appendChild(stamp_canvas);
-
-    // Total time factor, as a multiple of how long a single step takes.
-    // If delay is 0, this is 1; if delay is 1, this is the number of steps.
-    // (Remember, max_step is when the last step STARTS!)
-    // FIXME this is wrong, because cells can overlap!
-    const total_time = generator.max_step * delay + 1;
-    console.log(max_scale, total_time, generator.max_step, delay);
-
-    /*
-    let x_total_time = 0;
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const col = Math.floor(x / column_width);
-            const row = Math.floor(y / row_height);
-            const step = pattern[row][col];
-            if (step !== generator.max_step)
-                continue;
+    ctx = null;
+    out_canvas.dispatchEvent(new Event('_updated'));
+    return stats;
+}
+
+// Round to a couple decimal places, for showing to humans
+function format_number(n) {
+    return String(Math.round(n * 100) / 100);
+}
 
-            console.log("found one with step", step);
-            const start_time = (generator.max_step - step) * delay;
 
-            const bx = x % column_width;
-            const by = y % row_height;
+// RECIPES ---------------------------------------------------------------------
 
-            let scales = [];
-            for (let drow = 0; drow < 3; drow++) {
-                const srow = row + drow - 1;
-                for (let dcol = 0; dcol < 3; dcol++) {
-                    const scol = col + dcol - 1;
+// Collect the current state of the page into a recipe; see recipe.js.  Pass
+// false for embed_image to leave out a custom particle image
+function export_recipe(view, player, embed_image = true) {
+    let settings = Object.assign({}, view.settings);
+    // The seed gets its own top-level spot
+    delete settings.seed;
 
-                    let scale = box_scales[by + row_height * drow][bx + column_width * dcol];
-                    //const scale_step = pattern[srow][scol];
-                    const scale_step = pattern_generator(srow, scol, row_ct, column_ct);
-                    scale += (scale_step - step) * delay * max_scale;
-                    scales.push(scale);
-                }
+    return {
+        version: RECIPE_VERSION,
+        settings: settings,
+        particle: view.get_particle_source(embed_image),
+        seed: view.settings.seed,
+        resolution: {
+            width: view.mask_canvas.width,
+            height: view.mask_canvas.height,
+        },
+        playback: player.get_playback(),
+    };
+}
+
+// Apply a recipe (parsed or as a JSON string) to the page.  Loading an
+// embedded particle is asynchronous, hence so is this.  Doesn't regenerate the
+// mask; that's up to the caller
+async function import_recipe(view, player, data) {
+    const recipe = normalize_recipe(data);
+
+    // Decode the particle before touching anything else, so a broken image
+    // doesn't leave us with half a recipe applied
+    let particle_bitmap = null;
+    if (recipe.particle.image) {
+        const response = await fetch(recipe.particle.image);
+        particle_bitmap = await createImageBitmap(await response.blob());
+    }
+
+    for (const [attr, value] of Object.entries(recipe.settings)) {
+        if (view.controls[attr]) {
+            view.set_setting(attr, value);
+        }
+        else {
+            console.warn("Ignoring unknown recipe setting:", attr, value);
+        }
+    }
+    // A null seed means the recipe didn't care, so leave ours alone
+    if (recipe.seed !== null) {
+        view.set_setting('seed', recipe.seed);
+    }
+    view.update_preview();
+
+    if (particle_bitmap) {
+        view.draw_particle_image(particle_bitmap);
+    }
+    else {
+        view.draw_preset_particle(recipe.particle.preset, recipe.particle.text);
+    }
+
+    view.set_resolution(recipe.resolution.width, recipe.resolution.height);
+
+    player.set_playback(recipe.playback);
+
+    return recipe;
+}
+
+// ANIMATION EXPORT ------------------------------------------------------------
+
+const ANIMATION_FORMATS = {
+    gif: { extension: 'gif', type: 'image/gif' },
+    apng: { extension: 'png', type: 'image/apng' },
+    webm: { extension: 'webm', type: 'video/webm' },
+};
+// GIF delays are in hundredths of a second, and browsers slow down anything
+// shorter than this to a crawl
+const GIF_MIN_DELAY = 2;
+
+// Compress bytes into a zlib stream with the browser's own deflate, if it has
+// one; otherwise just store them, which is huge, but works
+async function deflate_bytes(bytes) {
+    if (typeof CompressionStream === 'undefined') {
+        return zlib_store(bytes);
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Let the page breathe between frames, so progress shows up
+function next_tick() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Pause the player while an export steps through it by hand, then put the
+// time back the way it was
+async function with_player_held(player, callback) {
+    const was_playing = player.playing;
+    const old_t = player.t;
+    player.pause();
+    try {
+        return await callback();
+    }
+    finally {
+        player.set_time(old_t);
+        if (was_playing) {
+            player.play();
+        }
+    }
+}
+
+// Render the player at time t and draw it onto a 2D context, scaled into the
+// given box.  This copies right away, since a WebGL canvas may be cleared as
+// soon as we let go of it
+function draw_player_frame(player, t, ctx, x, y, width, height) {
+    player.set_time(t);
+    player.render();
+    ctx.clearRect(x, y, width, height);
+    ctx.drawImage(player.canvas, x, y, width, height);
+}
+
+// Size of an export, given a scale relative to the player's canvas
+function export_size(player, scale) {
+    return [
+        Math.max(1, Math.round(player.canvas.width * scale)),
+        Math.max(1, Math.round(player.canvas.height * scale)),
+    ];
+}
+
+// Render the player's wipe one frame at a time, and encode it as an animation.
+// options has format (a key in ANIMATION_FORMATS), frame_ct, and scale,
+// relative to the player's canvas.  The frames evenly cover the time slider
+// and share the player's duration.  Every format stamps each frame with its
+// own delay, so the result plays at the right speed no matter how long each
+// frame took to draw.  Resolves to a Blob
+async function export_animation(player, options, on_progress) {
+    const format = ANIMATION_FORMATS[options.format];
+    if (! format) {
+        throw new Error(`Unknown animation format: ${options.format}`);
+    }
+    const frame_ct = options.frame_ct;
+    if (! Number.isInteger(frame_ct) || frame_ct < 2) {
+        throw new Error("An animation needs at least two frames");
+    }
+    const [width, height] = export_size(player, options.scale);
+    // In seconds
+    const frame_delay = player.duration / frame_ct;
+
+    let frame_canvas = document.createElement('canvas');
+    frame_canvas.width = width;
+    frame_canvas.height = height;
+    let frame_ctx = frame_canvas.getContext('2d');
+    function render_frame(i) {
+        draw_player_frame(player, i / (frame_ct - 1), frame_ctx, 0, 0, width, height);
+    }
+
+    return with_player_held(player, async () => {
+        if (options.format === 'webm') {
+            return await encode_webm(frame_canvas, frame_ct, frame_delay, render_frame, on_progress);
+        }
+
+        let encoder;
+        if (options.format === 'gif') {
+            encoder = new GifEncoder(width, height, { loop: player.loop });
+        }
+        else {
+            encoder = new ApngEncoder(width, height, frame_ct, { loop: player.loop, deflate: deflate_bytes });
+        }
+        for (let i = 0; i < frame_ct; i++) {
+            render_frame(i);
+            const frame = frame_ctx.getImageData(0, 0, width, height);
+            if (options.format === 'gif') {
+                // Round the running total, not each frame, so the rounding
+                // doesn't add up
+                const delay = Math.round((i + 1) * frame_delay * 100) - Math.round(i * frame_delay * 100);
+                encoder.add_frame(frame, Math.max(GIF_MIN_DELAY, delay));
+            }
+            else {
+                await encoder.add_frame(frame, frame_delay * 1000);
+            }
+            on_progress((i + 1) / frame_ct);
+            await next_tick();
+        }
+        return new Blob([encoder.finish()], { type: format.type });
+    });
+}
+
+// VP8 is the one WebM codec every browser with WebCodecs can encode
+const WEBM_CODEC = { codec: 'vp8', codec_id: 'V_VP8' };
+// Seconds between key frames, which are where a player can start or seek to
+const WEBM_KEY_FRAME_INTERVAL = 2;
+
+// Encode the frames with WebCodecs, stamping each one with exactly when it
+// starts and how long it lasts, then wrap them up with WebmMuxer.  No
+// transparency, though; VP8 in WebM can't carry it
+async function encode_webm(canvas, frame_ct, frame_delay, render_frame, on_progress) {
+    if (typeof VideoEncoder === 'undefined') {
+        throw new Error("This browser can't encode WebM video");
+    }
+    const config = {
+        codec: WEBM_CODEC.codec,
+        width: canvas.width,
+        height: canvas.height,
+        framerate: 1 / frame_delay,
+    };
+    if (! (await VideoEncoder.isConfigSupported(config)).supported) {
+        throw new Error(`This browser can't encode ${canvas.width}×${canvas.height} WebM video`);
+    }
+
+    let muxer = new WebmMuxer(canvas.width, canvas.height, WEBM_CODEC.codec_id);
+    // Errors come in through a callback, so stash them and throw them from here
+    let encoder_error = null;
+    const encoder = new VideoEncoder({
+        output: chunk => {
+            let data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            // WebCodecs times are in microseconds.  The duration should carry
+            // over from the frame, but it's allowed to go missing
+            const duration = chunk.duration !== null ? chunk.duration : frame_delay * 1000000;
+            muxer.add_frame(data, chunk.timestamp / 1000, duration / 1000, chunk.type === 'key');
+        },
+        error: e => {
+            encoder_error = e;
+        },
+    });
+    try {
+        encoder.configure(config);
+        const key_frame_every = Math.max(1, Math.round(WEBM_KEY_FRAME_INTERVAL / frame_delay));
+        for (let i = 0; i < frame_ct; i++) {
+            render_frame(i);
+            // Round the running total, same as for GIF
+            const timestamp = Math.round(i * frame_delay * 1000000);
+            const duration = Math.round((i + 1) * frame_delay * 1000000) - timestamp;
+            const frame = new VideoFrame(canvas, { timestamp, duration });
+            try {
+                encoder.encode(frame, { keyFrame: i % key_frame_every === 0 });
+            }
+            finally {
+                frame.close();
+            }
+            if (encoder_error) {
+                throw encoder_error;
             }
-            let scale = Math.min(...scales);
+            on_progress((i + 1) / frame_ct);
+            await next_tick();
+        }
+        await encoder.flush();
+        if (encoder_error) {
+            throw encoder_error;
+        }
+    }
+    finally {
+        if (encoder.state !== 'closed') {
+            encoder.close();
+        }
+    }
+
+    return new Blob([muxer.finish()], { type: ANIMATION_FORMATS.webm.type });
+}
 
-            x_total_time = Math.max(x_total_time, (start_time + scale / max_scale));
+// Browsers won't make canvases much bigger than this on a side
+const MAX_SPRITE_SHEET_SIZE = 16384;
+
+// Paint over the before and after canvases, so the player renders only how
+// much of the after image shows through: the before image transparent, the
+// after image opaque white, and no halo.  Returns a function that puts
+// everything back
+function stand_in_for_after_alpha(player) {
+    const halo = player.get_playback().halo;
+    let saved = [];
+    for (const [canvas, fill] of [[player.before_canvas, null], [player.after_canvas, 'white']]) {
+        let ctx = canvas.getContext('2d');
+        saved.push([canvas, ctx, ctx.getImageData(0, 0, canvas.width, canvas.height)]);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (fill) {
+            ctx.fillStyle = fill;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
         }
+        canvas.dispatchEvent(new Event('_updated'));
     }
-    console.log('maximum actual time?', x_total_time);
-    */
+    player.set_halo(null);
 
-    let ctx = out_canvas.getContext('2d');
-    let pixels = ctx.getImageData(0, 0, width, height);
-    let actual_max_step = 0;
-    let actual_min_step = 100;
-
-    // FIXME i realize, all of a sudden, that in cases like squares, you likely
-    // don't WANT them to keep growing outside their box.  hmm
-    // TODO could this part be done with a shader?  it's basically just adding
-    // and maxing some pixel values, right?  even a bunch of draw calls, one
-    // stamp at a time, might be faster
-    // FIXME i think this would be a bit speedier if it worked a cell at a time?
-    let i = 0;
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const col = Math.floor(x / column_width);
-            const row = Math.floor(y / row_height);
-            const step = generator.cell(row, col);
-            actual_max_step = Math.max(actual_max_step, step);
-            actual_min_step = Math.min(actual_min_step, step);
-
-            const start_time = step * delay;
-
-            // FIXME suspect there'll be a problem here with indexing from 0 vs 1
-            const bx = x % column_width;
-            const by = y % row_height;
-
-            let scales = [];
-            let scale_steps = [];
-            // FIXME keep looking further until we find a cell whose step is adjacent to ours?
-            for (let drow = 0; drow < 3; drow++) {
-                // drow/dcol measure where on the /stamp/ we're sampling from,
-                // so the actual cell the particle would be expanding from is
-                // in the opposite direction.
-                // If it's off the edge of the board, skip it
-                const srow = row + 1 - drow;
-                if (srow < 0 || srow >= row_ct)
-                    continue;
+    return () => {
+        for (const [canvas, ctx, pixels] of saved) {
+            ctx.putImageData(pixels, 0, 0);
+            canvas.dispatchEvent(new Event('_updated'));
+        }
+        player.set_halo(halo);
+    };
+}
 
-                for (let dcol = 0; dcol < 3; dcol++) {
-                    const scol = col + 1 - dcol;
-                    if (scol < 0 || scol >= column_ct)
-                        continue;
+function canvas_to_png_bytes(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob.arrayBuffer().then(buffer => new Uint8Array(buffer)));
+            }
+            else {
+                reject(new Error("Couldn't encode a PNG"));
+            }
+        }, 'image/png');
+    });
+}
 
-                    let scale = box_scales[by + row_height * drow][bx + column_width * dcol];
-                    const scale_step = generator.cell(srow, scol);
-                    scale += (scale_step - step) * delay * max_scale;
-                    scales.push(scale);
-                    scale_steps.push(scale_step);
+// Render the player as a sequence of still frames, one per frame of its
+// duration, with t stepping evenly from 0 to 1.  options:
+//   scale: size relative to the player's canvas
+//   alpha_only: render only the after image's alpha, as white
+//   sprite_sheet: lay every frame out left to right, top to bottom, in one
+//       big PNG, rather than a zip of numbered PNGs
+// Resolves to an object with a blob and a suggested filename
+async function export_frames(player, options, on_progress) {
+    const frame_ct = parseInt(player.duration_slider.value, 10);
+    const [width, height] = export_size(player, options.scale);
+    const frame_t = i => frame_ct > 1 ? i / (frame_ct - 1) : 1;
+
+    let frame_canvas = document.createElement('canvas');
+    let columns = 1;
+    let rows = 1;
+    if (options.sprite_sheet) {
+        // Roughly square, which keeps the sheet within size limits longest
+        columns = Math.ceil(Math.sqrt(frame_ct * height / width));
+        rows = Math.ceil(frame_ct / columns);
+        if (columns * width > MAX_SPRITE_SHEET_SIZE || rows * height > MAX_SPRITE_SHEET_SIZE) {
+            throw new Error(`A ${columns * width}×${rows * height} sprite sheet is too big; try a smaller size or a shorter playback time`);
+        }
+    }
+    frame_canvas.width = columns * width;
+    frame_canvas.height = rows * height;
+    let frame_ctx = frame_canvas.getContext('2d');
+
+    return with_player_held(player, async () => {
+        const restore = options.alpha_only ? stand_in_for_after_alpha(player) : null;
+        try {
+            if (options.sprite_sheet) {
+                for (let i = 0; i < frame_ct; i++) {
+                    draw_player_frame(player, frame_t(i), frame_ctx, (i % columns) * width, Math.floor(i / columns) * height, width, height);
+                    on_progress((i + 1) / frame_ct);
+                    await next_tick();
                 }
+                return {
+                    blob: new Blob([await canvas_to_png_bytes(frame_canvas)], { type: 'image/png' }),
+                    filename: `wipe-sheet-${columns}x${rows}.png`,
+                };
             }
-            let scale = Math.min(...scales);
-            const time = start_time + scale / max_scale;
-            let value = time / total_time;
 
-            value *= 256;
-            pixels.data[i + 0] = Math.floor(value);
-            value = (value % 1) * 256;
-            pixels.data[i + 1] = Math.floor(value);
-            value = (value % 1) * 256;
-            pixels.data[i + 2] = Math.floor(value);
-            pixels.data[i + 3] = 255;
-            i += 4;
+            let zip = new ZipEncoder();
+            const digits = Math.max(4, String(frame_ct - 1).length);
+            for (let i = 0; i < frame_ct; i++) {
+                draw_player_frame(player, frame_t(i), frame_ctx, 0, 0, width, height);
+                zip.add_file(`frame-${String(i).padStart(digits, '0')}.png`, await canvas_to_png_bytes(frame_canvas));
+                on_progress((i + 1) / frame_ct);
+                await next_tick();
+            }
+            return {
+                blob: new Blob([zip.finish()], { type: 'application/zip' }),
+                filename: 'wipe-frames.zip',
+            };
         }
-    }
+        finally {
+            if (restore) {
+                restore();
+            }
+        }
+    });
+}
 
-    console.log("claimed range was", 0, "to", generator.max_step, "but in practice got", actual_min_step, "to", actual_max_step);
+// MASK EXPORT -----------------------------------------------------------------
 
-    ctx.putImageData(pixels, 0, 0);
+// Save the mask in one of MASK_EXPORT_FORMATS, or as-is for 'rgb'.  Canvas can
+// only write 8-bit color PNGs, so the others go through png.js.  Resolves to
+// an object with a blob and a suggested filename
+async function export_mask(mask_canvas, format_name) {
+    if (format_name === 'rgb') {
+        return {
+            blob: new Blob([await canvas_to_png_bytes(mask_canvas)], { type: 'image/png' }),
+            filename: 'wipe-mask.png',
+        };
+    }
 
-    ctx = null;
-    out_canvas.dispatchEvent(new Event('_updated'));
+    const format = MASK_EXPORT_FORMATS[format_name];
+    const mask = mask_canvas.getContext('2d').getImageData(0, 0, mask_canvas.width, mask_canvas.height);
+    const converted = format.convert(mask);
+    if (format.png) {
+        return {
+            blob: new Blob([await encode_png(converted, Object.assign({ deflate: deflate_bytes }, format.png))], { type: 'image/png' }),
+            filename: `wipe-mask-${format_name}.png`,
+        };
+    }
+    // Raw data has nowhere to keep the size, so put it in the name
+    return {
+        blob: new Blob([converted], { type: 'application/octet-stream' }),
+        filename: `wipe-mask-${mask.width}x${mask.height}-${format_name}.raw`,
+    };
+}
+
+// Offer a Blob to the user as a file download
+function download_blob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    let link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Give the browser a moment to actually start the download
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 
@@ -1789,57 +2744,61 @@ function init() {
     let canvas = document.getElementById('canvas');
 
     let mask_canvas = document.getElementById('mask-canvas');
-    let width = canvas.width;
-    let height = canvas.height;
-
-    let mask_ctx = mask_canvas.getContext('2d');
-
-    // Populate the mask
-    // TODO probably ensure the mask is the same size or whatever
-    let particle = document.getElementById('particle');
 
     let view = new GeneratorView(document.querySelector('#generator .particle'), mask_canvas);
 
-    // Deal with the playback canvases
-    function file_handler(bitmap, canvas) {
+    // Deal with the playback canvases.  Each one shows either a dropped image
+    // or a solid color, and we hold onto the image so we can redraw it if the
+    // resolution changes
+    let backdrop_images = new Map();
+    function paint_backdrop(canvas, color_control) {
         let ctx = canvas.getContext('2d');
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
-        canvas.dispatchEvent(new Event('_updated'));
-        player.schedule_render();
+        const bitmap = backdrop_images.get(canvas);
+        if (bitmap) {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        }
+        else {
+            ctx.fillStyle = color_control.value;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+    }
+    function bind_backdrop(canvas, color_control) {
+        inject_file_support(canvas, (bitmap, canvas) => {
+            backdrop_images.set(canvas, bitmap);
+            paint_backdrop(canvas, color_control);
+            canvas.dispatchEvent(new Event('_updated'));
+            player.schedule_render();
+        });
+        color_control.addEventListener('input', event => {
+            // Picking a color replaces the image
+            backdrop_images.delete(canvas);
+            paint_backdrop(canvas, color_control);
+            canvas.dispatchEvent(new Event('_updated'));
+            player.schedule_render();
+        });
+        paint_backdrop(canvas, color_control);
     }
 
     let before_canvas = document.getElementById('before-canvas');
-    inject_file_support(before_canvas, file_handler);
     let before_control = document.getElementById('before-color');
-    before_control.addEventListener('input', event => {
-        let ctx = before_canvas.getContext('2d');
-        ctx.fillStyle = before_control.value;
-        ctx.fillRect(0, 0, before_canvas.width, before_canvas.height);
-        before_canvas.dispatchEvent(new Event('_updated'));
-        player.schedule_render();
-    });
-    {
-        let ctx = before_canvas.getContext('2d');
-        ctx.fillStyle = before_control.value;
-        ctx.fillRect(0, 0, before_canvas.width, before_canvas.height);
-    }
+    bind_backdrop(before_canvas, before_control);
 
     let after_canvas = document.getElementById('after-canvas');
-    inject_file_support(after_canvas, file_handler);
     let after_control = document.getElementById('after-color');
-    after_control.addEventListener('input', event => {
-        let ctx = after_canvas.getContext('2d');
-        ctx.fillStyle = after_control.value;
-        ctx.fillRect(0, 0, after_canvas.width, after_canvas.height);
-        after_canvas.dispatchEvent(new Event('_updated'));
-        player.schedule_render();
+    bind_backdrop(after_canvas, after_control);
+
+    // When the resolution changes, the view resizes the mask itself, and
+    // everything else has to follow along
+    mask_canvas.addEventListener('_resized', event => {
+        for (const [backdrop, color_control] of [[before_canvas, before_control], [after_canvas, after_control]]) {
+            backdrop.width = mask_canvas.width;
+            backdrop.height = mask_canvas.height;
+            paint_backdrop(backdrop, color_control);
+            backdrop.dispatchEvent(new Event('_updated'));
+        }
+        player.resize(mask_canvas.width, mask_canvas.height);
     });
-    {
-        let ctx = after_canvas.getContext('2d');
-        ctx.fillStyle = after_control.value;
-        ctx.fillRect(0, 0, after_canvas.width, after_canvas.height);
-    }
 
     let help_button = document.getElementById('show-help');
     let help = document.getElementById('help');
@@ -1857,6 +2816,208 @@ function init() {
         player_cls = WipePlayerGL;
     }
     let player = new player_cls(canvas, mask_canvas, before_canvas, after_canvas);
+    view.player = player;
+    // A baked easing is part of the mask, so changing it means regenerating
+    for (const id of ['knob-easing', 'knob-easing-curve', 'knob-easing-steps', 'knob-bake-easing']) {
+        document.getElementById(id).addEventListener('input', e => {
+            if (player.bake_easing || id === 'knob-bake-easing') {
+                view.generate_button.classList.add('dirty');
+            }
+        });
+    }
+
+    let export_recipe_button = document.getElementById('control-export-recipe');
+    export_recipe_button.addEventListener('click', e => {
+        const json = serialize_recipe(export_recipe(view, player));
+        download_blob(new Blob([json], { type: 'application/json' }), 'wipe-recipe.json');
+    });
+    for (const format_name of ['rgb', ...Object.keys(MASK_EXPORT_FORMATS)]) {
+        let button = document.getElementById(`control-save-mask-${format_name}`);
+        button.addEventListener('click', async e => {
+            button.disabled = true;
+            try {
+                const { blob, filename } = await export_mask(mask_canvas, format_name);
+                download_blob(blob, filename);
+            }
+            catch (err) {
+                console.error(err);
+                alert(`Couldn't save the mask: ${err.message}`);
+            }
+            finally {
+                button.disabled = false;
+            }
+        });
+    }
+
+    // Both kinds of export render through the player, so only do one at a time
+    let export_animation_button = document.getElementById('control-export-animation');
+    let export_frames_button = document.getElementById('control-export-frames-button');
+    let export_progress = document.getElementById('export-progress');
+    async function run_export(what, callback) {
+        export_animation_button.disabled = true;
+        export_frames_button.disabled = true;
+        export_progress.value = 0;
+        export_progress.hidden = false;
+        try {
+            const { blob, filename } = await callback(fraction => {
+                export_progress.value = fraction;
+            });
+            download_blob(blob, filename);
+        }
+        catch (err) {
+            console.error(err);
+            alert(`Couldn't export the ${what}: ${err.message}`);
+        }
+        finally {
+            export_animation_button.disabled = false;
+            export_frames_button.disabled = false;
+            export_progress.hidden = true;
+        }
+    }
+    export_animation_button.addEventListener('click', e => {
+        const format = document.getElementById('control-export-format').value;
+        const options = {
+            format: format,
+            frame_ct: parseInt(document.getElementById('control-export-frames').value, 10),
+            scale: parseFloat(document.getElementById('control-export-scale').value),
+        };
+        run_export('animation', async on_progress => ({
+            blob: await export_animation(player, options, on_progress),
+            filename: 'wipe.' + ANIMATION_FORMATS[format].extension,
+        }));
+    });
+    export_frames_button.addEventListener('click', e => {
+        const options = {
+            scale: parseFloat(document.getElementById('control-export-scale').value),
+            alpha_only: document.getElementById('control-export-alpha-only').checked,
+            sprite_sheet: document.getElementById('control-export-sprite-sheet').checked,
+        };
+        run_export('frames', on_progress => export_frames(player, options, on_progress));
+    });
+
+    let import_recipe_button = document.getElementById('control-import-recipe');
+    let recipe_uploader = document.getElementById('control-recipe-file');
+    import_recipe_button.addEventListener('click', e => {
+        recipe_uploader.click();
+    });
+    recipe_uploader.addEventListener('change', async e => {
+        const file = e.target.files[0];
+        if (! file) {
+            return;
+        }
+        // Clear it out, so picking the same file again still fires 'change'
+        recipe_uploader.value = '';
+
+        try {
+            await import_recipe(view, player, await file.text());
+        }
+        catch (err) {
+            console.error(err);
+            alert(`Couldn't import that recipe: ${err.message}`);
+            return;
+        }
+        view.generate();
+        update_permalink();
+    });
+
+    // Keep the URL in sync with the settings, so it can be shared as a link.
+    // Both the generator and the player live in here, so catch everything as
+    // it bubbles up; buttons can change things too, so include clicks
+    let permalink_timer = null;
+    function update_permalink() {
+        // Debounce, since sliders fire a lot of events and browsers get cranky
+        // about rapid-fire history changes
+        if (permalink_timer !== null) {
+            clearTimeout(permalink_timer);
+        }
+        permalink_timer = setTimeout(() => {
+            permalink_timer = null;
+            const params = recipe_to_url_params(export_recipe(view, player, false));
+            history.replaceState(null, '', '#' + params.toString());
+        }, 250);
+    }
+    let generator_container = document.getElementById('generator');
+    generator_container.addEventListener('input', update_permalink);
+    generator_container.addEventListener('change', update_permalink);
+    generator_container.addEventListener('click', update_permalink);
+
+    let copy_link_button = document.getElementById('control-copy-link');
+    copy_link_button.addEventListener('click', async e => {
+        // Don't wait for the debounce
+        const params = recipe_to_url_params(export_recipe(view, player, false));
+        history.replaceState(null, '', '#' + params.toString());
+        try {
+            await navigator.clipboard.writeText(location.href);
+            copy_link_button.textContent = '✔️ Copied';
+        }
+        catch (err) {
+            // Probably not allowed; the address bar is up to date, at least
+            console.error(err);
+            copy_link_button.textContent = '⚠️ Copy from the address bar';
+        }
+        setTimeout(() => {
+            copy_link_button.textContent = '🔗 Copy link';
+        }, 2000);
+    });
+
+    // And if we were opened from a link, restore it.  Also handle the hash
+    // changing, e.g. if someone pastes a different link into the same tab
+    async function load_permalink() {
+        if (location.hash.length <= 1) {
+            return;
+        }
+
+        let recipe;
+        try {
+            recipe = url_params_to_recipe(new URLSearchParams(location.hash.substring(1)));
+            await import_recipe(view, player, recipe);
+        }
+        catch (err) {
+            console.error(err);
+            alert(`Couldn't load the settings from this link: ${err.message}`);
+            return;
+        }
+        view.generate();
+    }
+    window.addEventListener('hashchange', load_permalink);
+    load_permalink();
+
+    // Debugging aid: check the GPU against the CPU for every pattern.  Works
+    // headless too, with something like:
+    //   chromium --headless --use-gl=swiftshader --virtual-time-budget=600000 --dump-dom 'index.html?check-gpu=all'
+    // then look for "GPU check:" in the <title>, and FAIL in the results
+    if (new URLSearchParams(location.search).get('check-gpu') === 'all') {
+        view.check_gpu_everywhere();
+    }
+
+    // Expose a little API, for scripting the page from the console or from
+    // whatever's embedding it
+    window.particle_wipe = {
+        view: view,
+        player: player,
+        // Regenerates on the GPU and the CPU, and returns how far apart the
+        // results are (which should be under GPU_MASK_TOLERANCE)
+        check_gpu() {
+            if (! view.get_gpu_generator()) {
+                throw new Error("The GPU generator isn't available");
+            }
+            const settings = Object.assign({}, view.settings);
+            const particle_canvas = view.particle_canvas;
+            const particle_pixels = particle_canvas.getContext('2d').getImageData(0, 0, particle_canvas.width, particle_canvas.height);
+            let gpu_mask = new ImageData(mask_canvas.width, mask_canvas.height);
+            const easing = player.get_baked_easing();
+            view.gpu_generator.generate(particle_pixels, gpu_mask, settings.rows, settings.columns, settings.delay, build_pattern_generator(settings), easing);
+            return view.check_gpu(particle_pixels, gpu_mask, settings, easing);
+        },
+        get_recipe() {
+            return export_recipe(view, player);
+        },
+        // Applies a recipe and regenerates the mask; returns a promise
+        async load_recipe(recipe) {
+            await import_recipe(view, player, recipe);
+            view.generate();
+        },
+    };
 }
 
 
@@ -1869,22 +3030,13 @@ function init() {
 //   - can i restrict to images only via some browser feature?
 //   - what happens if i drag in a non-image?
 //   - what happens if i drag from another website?
-// - allow picking resolution (hoo boy)
-//   - should there be a limit?
-//   - obvious thing is to use your own screen size, but how does that work?  clever scaling?
-//   - hold onto dropped before/after files so we can reread them?
+// - resolution: obvious thing is to use your own screen size, but how does that work?  clever scaling?
 // - allow playing in fullscreen
 // - layout is still not IDEAL, but do i care?  i would love to understand what's up with the flexbox.  maybe should show scaled % or something too
 // - better error, loading, processing handling
 // - wrap this in a namespace or closure or whatever
 // - maybe come up with some more patterns so this feels like it's worth the effort??
 //
-// - fix the fuckin, timing not being right, god, that's supposed to be the whole point
-// - finish halo support; canvas and webgl seem to differ a bit
-// - also support alpha, at least on the 'after' image
-//
-// - support easing function
-//
 // - release source code!!
 //
 // - help is a LITTLE ugly and could stand to be inline too i guess
@@ -1892,26 +3044,15 @@ function init() {
 // TODO misc:
 // - should give all the form controls names, so refresh populates them correctly, sigh
 // - indicate if using webgl or canvas?
-// - some stats, like how long the generation/preview took, or fps of the playback?
+// - show the fps of the playback?
 // - need some way of indicating when rows/columns are not remotely proportional
-// - also indicate when settings have changed but the wipe hasn't been regenerated yet
 // - changing delay shouldn't redraw the preview
-//   - ideally, changing other settings wouldn't reroll a random wipe...
 // - not sure that i handle rows that don't divide evenly very well yet
 // - should including the outer border be optional??
 // - allow picking particle size too?  maybe you want, an ellipse, idk
-// - make this a generator and yield intermittently so the browser doesn't like, completely freeze, even if that makes it a bit slower overall
-//   - i tried this and it became 4x slower (!), may need to consider a web worker or something, idk
-// - allow swapping before/after canvases
-//   - or maybe this should be a playback mode?  forward, backward, pingpong
-// - support reading a black/white image instead of alpha
 //
 // - do i need shutter if i have reflect?  alternative, should reflect be a slider?
-// - support uploading your own grayscale cell pattern?
-// - support hex or tri grids?
-// - support offsetting every other column or something???  that would be cool with hearts!!
-// - check if hi-def masks work with renpy; if not, allow doing grayscale.  or maybe do that anyway
+// - support tri grids?
 //
-// - REALLY gotta fix the max time being wrong because of overlap, oops
 // - allow outer edge to exist, optionally?
 // - optionally allow disabling cell overlap entirely?
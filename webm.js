@@ -0,0 +1,229 @@
+"use strict";
+// Just enough WebM to wrap up frames from a WebCodecs VideoEncoder.  One video
+// track, no cues, and the whole file is built in memory at the end, so every
+// size is known up front.  Timestamps are in milliseconds, which is the usual
+// WebM timecode scale.
+
+// EBML element IDs; these already have their length bits built in
+const _WEBM_IDS = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    FlagLacing: 0x9C,
+    CodecID: 0x86,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    BlockGroup: 0xA0,
+    Block: 0xA1,
+    BlockDuration: 0x9B,
+};
+// Block timecodes are 16-bit offsets from their cluster's timecode
+const _WEBM_MAX_BLOCK_OFFSET = 0x7FFF;
+
+// Big-endian bytes of an unsigned integer, as short as it'll go
+function _webm_uint_bytes(n) {
+    let bytes = [];
+    do {
+        bytes.unshift(n % 256);
+        n = Math.floor(n / 256);
+    } while (n > 0);
+    return bytes;
+}
+
+// Element sizes are variable-length: the number of leading zero bits in the
+// first byte says how many more bytes follow
+function _webm_size_bytes(n) {
+    let length = 1;
+    // All ones is reserved for "unknown size"
+    while (n >= Math.pow(2, 7 * length) - 1) {
+        length++;
+    }
+    let bytes = _webm_uint_bytes(n);
+    while (bytes.length < length) {
+        bytes.unshift(0);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+// An element is its ID, its size, then its contents, which are either raw
+// bytes or a list of child elements.  Returns a flat list of Uint8Arrays, to
+// be glued together at the very end
+function _webm_element(id, contents) {
+    let parts = [];
+    let size = 0;
+    if (contents instanceof Uint8Array) {
+        parts.push(contents);
+        size = contents.length;
+    }
+    else {
+        for (const child of contents) {
+            for (const part of child) {
+                parts.push(part);
+                size += part.length;
+            }
+        }
+    }
+    parts.unshift(new Uint8Array(_webm_uint_bytes(id).concat(_webm_size_bytes(size))));
+    return parts;
+}
+
+function _webm_uint(id, n) {
+    return _webm_element(id, new Uint8Array(_webm_uint_bytes(n)));
+}
+
+function _webm_float(id, n) {
+    let bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, n);
+    return _webm_element(id, bytes);
+}
+
+function _webm_string(id, string) {
+    return _webm_element(id, new TextEncoder().encode(string));
+}
+
+// The guts of a SimpleBlock or Block: track number, timecode relative to the
+// cluster, flags, then the frame itself
+function _webm_block_bytes(frame, offset, flags) {
+    let bytes = new Uint8Array(4 + frame.data.length);
+    // Track number 1, as a one-byte variable-length integer
+    bytes[0] = 0x81;
+    new DataView(bytes.buffer).setInt16(1, offset);
+    bytes[3] = flags;
+    bytes.set(frame.data, 4);
+    return bytes;
+}
+
+// Builds a WebM video one encoded frame at a time.  codec_id is the Matroska
+// name for the codec, e.g. V_VP8 or V_VP9
+class WebmMuxer {
+    constructor(width, height, codec_id) {
+        this.width = width;
+        this.height = height;
+        this.codec_id = codec_id;
+        this.clusters = [];
+        this.cluster = null;
+        this.last_frame = null;
+        this.end_time = 0;
+    }
+
+    // Add an encoded frame, given as a Uint8Array.  timestamp and duration are
+    // in milliseconds, and frames have to come in order.  Players can only
+    // start decoding from a key frame, so each one starts a new cluster
+    add_frame(data, timestamp, duration, is_key) {
+        timestamp = Math.round(timestamp);
+        duration = Math.round(duration);
+        if (this.last_frame) {
+            this._write_frame(this.last_frame, false);
+        }
+        if (! this.cluster || is_key || timestamp - this.cluster.timecode > _WEBM_MAX_BLOCK_OFFSET) {
+            if (! this.cluster && ! is_key) {
+                throw new Error("A WebM video has to start with a key frame");
+            }
+            this.cluster = { timecode: timestamp, blocks: [] };
+            this.clusters.push(this.cluster);
+        }
+        // Hang onto each frame until the next one shows up, so the last one
+        // can be written with its duration; otherwise players would cut it off
+        this.last_frame = { data, timestamp, duration, is_key, cluster: this.cluster };
+        this.end_time = Math.max(this.end_time, timestamp + duration);
+    }
+
+    _write_frame(frame, is_last) {
+        const offset = frame.timestamp - frame.cluster.timecode;
+        if (is_last) {
+            frame.cluster.blocks.push(_webm_element(_WEBM_IDS.BlockGroup, [
+                _webm_element(_WEBM_IDS.Block, _webm_block_bytes(frame, offset, 0)),
+                _webm_uint(_WEBM_IDS.BlockDuration, frame.duration),
+            ]));
+        }
+        else {
+            frame.cluster.blocks.push(_webm_element(
+                _WEBM_IDS.SimpleBlock, _webm_block_bytes(frame, offset, frame.is_key ? 0x80 : 0)));
+        }
+    }
+
+    // Returns the whole video, as a Uint8Array
+    finish() {
+        if (! this.last_frame) {
+            throw new Error("A WebM video needs at least one frame");
+        }
+        this._write_frame(this.last_frame, true);
+        this.last_frame = null;
+
+        const header = _webm_element(_WEBM_IDS.EBML, [
+            _webm_uint(_WEBM_IDS.EBMLVersion, 1),
+            _webm_uint(_WEBM_IDS.EBMLReadVersion, 1),
+            _webm_uint(_WEBM_IDS.EBMLMaxIDLength, 4),
+            _webm_uint(_WEBM_IDS.EBMLMaxSizeLength, 8),
+            _webm_string(_WEBM_IDS.DocType, 'webm'),
+            _webm_uint(_WEBM_IDS.DocTypeVersion, 2),
+            _webm_uint(_WEBM_IDS.DocTypeReadVersion, 2),
+        ]);
+        let segment = [
+            _webm_element(_WEBM_IDS.Info, [
+                // One tick per millisecond, in nanoseconds
+                _webm_uint(_WEBM_IDS.TimecodeScale, 1000000),
+                _webm_float(_WEBM_IDS.Duration, this.end_time),
+                _webm_string(_WEBM_IDS.MuxingApp, 'particle-wipe-generator'),
+                _webm_string(_WEBM_IDS.WritingApp, 'particle-wipe-generator'),
+            ]),
+            _webm_element(_WEBM_IDS.Tracks, [
+                _webm_element(_WEBM_IDS.TrackEntry, [
+                    _webm_uint(_WEBM_IDS.TrackNumber, 1),
+                    _webm_uint(_WEBM_IDS.TrackUID, 1),
+                    // Video
+                    _webm_uint(_WEBM_IDS.TrackType, 1),
+                    _webm_uint(_WEBM_IDS.FlagLacing, 0),
+                    _webm_string(_WEBM_IDS.CodecID, this.codec_id),
+                    _webm_element(_WEBM_IDS.Video, [
+                        _webm_uint(_WEBM_IDS.PixelWidth, this.width),
+                        _webm_uint(_WEBM_IDS.PixelHeight, this.height),
+                    ]),
+                ]),
+            ]),
+        ];
+        for (const cluster of this.clusters) {
+            segment.push(_webm_element(_WEBM_IDS.Cluster, [
+                _webm_uint(_WEBM_IDS.Timecode, cluster.timecode),
+                ...cluster.blocks,
+            ]));
+        }
+
+        const parts = header.concat(_webm_element(_WEBM_IDS.Segment, segment));
+        let out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let p = 0;
+        for (const part of parts) {
+            out.set(part, p);
+            p += part.length;
+        }
+        return out;
+    }
+}
+
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WebmMuxer,
+    };
+}
@@ -0,0 +1,105 @@
+"use strict";
+// Just enough zip to bundle up exported frames.  Everything is stored as-is,
+// since PNGs are already compressed.  Borrows crc32 from png.js, which the
+// page loads first.
+
+function _zip_crc32(bytes) {
+    return (typeof crc32 === 'function' ? crc32 : require('./png.js').crc32)(bytes);
+}
+
+// Dates in zips are MS-DOS style, in local time, to two-second precision
+function _zip_dos_datetime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+// Builds a zip one file at a time.  Names are stored as UTF-8
+class ZipEncoder {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    // Add a file, given as a Uint8Array
+    add_file(name, bytes, date) {
+        const name_bytes = new TextEncoder().encode(name);
+        const { time, date: day } = _zip_dos_datetime(date || new Date());
+        const crc = _zip_crc32(bytes);
+
+        let header = new Uint8Array(30 + name_bytes.length);
+        let view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034b50, true);
+        // Version needed: 2.0
+        view.setUint16(4, 20, true);
+        // Flags: names are UTF-8
+        view.setUint16(6, 0x0800, true);
+        // Method: stored
+        view.setUint16(8, 0, true);
+        view.setUint16(10, time, true);
+        view.setUint16(12, day, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, bytes.length, true);
+        view.setUint32(22, bytes.length, true);
+        view.setUint16(26, name_bytes.length, true);
+        view.setUint16(28, 0, true);
+        header.set(name_bytes, 30);
+
+        this.entries.push({ name_bytes, time, day, crc, size: bytes.length, offset: this.offset });
+        this.parts.push(header, bytes);
+        this.offset += header.length + bytes.length;
+    }
+
+    // Returns the whole zip, as a Uint8Array
+    finish() {
+        const directory_offset = this.offset;
+        let directory_size = 0;
+        for (const entry of this.entries) {
+            let record = new Uint8Array(46 + entry.name_bytes.length);
+            let view = new DataView(record.buffer);
+            view.setUint32(0, 0x02014b50, true);
+            // Version made by, and version needed
+            view.setUint16(4, 20, true);
+            view.setUint16(6, 20, true);
+            view.setUint16(8, 0x0800, true);
+            view.setUint16(10, 0, true);
+            view.setUint16(12, entry.time, true);
+            view.setUint16(14, entry.day, true);
+            view.setUint32(16, entry.crc, true);
+            view.setUint32(20, entry.size, true);
+            view.setUint32(24, entry.size, true);
+            view.setUint16(28, entry.name_bytes.length, true);
+            // Extra field, comment, disk number, and attributes all stay 0
+            view.setUint32(42, entry.offset, true);
+            record.set(entry.name_bytes, 46);
+            this.parts.push(record);
+            directory_size += record.length;
+        }
+
+        let end = new Uint8Array(22);
+        let view = new DataView(end.buffer);
+        view.setUint32(0, 0x06054b50, true);
+        view.setUint16(8, this.entries.length, true);
+        view.setUint16(10, this.entries.length, true);
+        view.setUint32(12, directory_size, true);
+        view.setUint32(16, directory_offset, true);
+        this.parts.push(end);
+
+        let out = new Uint8Array(this.offset + directory_size + end.length);
+        let p = 0;
+        for (const part of this.parts) {
+            out.set(part, p);
+            p += part.length;
+        }
+        return out;
+    }
+}
+
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ZipEncoder,
+    };
+}